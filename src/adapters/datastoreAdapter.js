@@ -0,0 +1,115 @@
+// Base class for datastore adapters
+//
+// Documents cross the adapter boundary as plain { id, data } objects and are
+// addressed by collection path ('users', 'chats/abc123/messages'), so the sync
+// services never touch a vendor SDK directly.
+//
+// Write operations passed to writeBatch():
+//   { type: 'set', path, id, data, merge, deleteFields }  deleteFields are removed in the same merge write
+//   { type: 'delete', path, id }
+class DatastoreAdapter {
+  constructor(name) {
+    this.name = name; // 'main' or 'backup'
+    this.maxBatchSize = 450;
+  }
+
+  // Collection paths at the root, or below one document when documentPath is given
+  async listCollections(documentPath = null) {
+    throw new Error(`${this.constructor.name} does not implement listCollections`);
+  }
+
+  // IDs of every document in a collection, including parents that only hold subcollections
+  async listDocumentIds(collectionPath) {
+    throw new Error(`${this.constructor.name} does not implement listDocumentIds`);
+  }
+
+  // Paths of every collection with this ID at any depth, from one collection-group query
+  async listCollectionGroupPaths(collectionId) {
+    throw new Error(`${this.constructor.name} does not implement listCollectionGroupPaths`);
+  }
+
+  // Read one page of documents
+  // options: { limit, startAfter (cursor from a previous page), where: [field, op, value], orderBy, fields,
+  //            startAtId, endBeforeId (document ID range, used for partitioned reads) }
+  // Returns { documents: [{ id, data }], nextCursor } where nextCursor is null on the last page
+  async readPage(collectionPath, options = {}) {
+    throw new Error(`${this.constructor.name} does not implement readPage`);
+  }
+
+  // Fetch documents by ID, returns [{ id, exists, data }] in request order
+  async getAll(collectionPath, ids) {
+    throw new Error(`${this.constructor.name} does not implement getAll`);
+  }
+
+  // Commit up to maxBatchSize write operations atomically
+  async writeBatch(operations) {
+    throw new Error(`${this.constructor.name} does not implement writeBatch`);
+  }
+
+  // Number of documents in a collection
+  async count(collectionPath) {
+    throw new Error(`${this.constructor.name} does not implement count`);
+  }
+
+  // Stream changes, onChanges receives [{ type: 'added'|'modified'|'removed', id, data }]
+  // The first call lists every existing document as 'added'. Returns an unsubscribe function.
+  watchCollection(collectionPath, onChanges, onError) {
+    throw new Error(`${this.constructor.name} does not implement watchCollection`);
+  }
+
+  // Stream changes of every collection with this ID, each change also carries its collection path:
+  // [{ type, id, path, data }]. The first call lists every existing document. Returns an unsubscribe function.
+  watchCollectionGroup(collectionId, onChanges, onError) {
+    throw new Error(`${this.constructor.name} does not implement watchCollectionGroup`);
+  }
+
+  // Cheap connectivity probe, resolves to true or false
+  async ping() {
+    throw new Error(`${this.constructor.name} does not implement ping`);
+  }
+
+  // Native value for a document reference, used when restoring portable documents
+  reference(documentPath) {
+    return { path: documentPath };
+  }
+
+  // Native value for a geographic point
+  geoPoint(latitude, longitude) {
+    return { latitude, longitude };
+  }
+
+  // Iterate a collection one page at a time so only a page is held in memory
+  async *iteratePages(collectionPath, options = {}) {
+    let cursor = null;
+
+    do {
+      const page = await this.readPage(collectionPath, { ...options, startAfter: cursor });
+      if (page.documents.length > 0) {
+        yield page.documents;
+      }
+      cursor = page.nextCursor;
+    } while (cursor);
+  }
+
+  // Read every page of a collection into memory
+  async readAll(collectionPath, options = {}) {
+    const documents = [];
+    for await (const page of this.iteratePages(collectionPath, options)) {
+      documents.push(...page);
+    }
+    return documents;
+  }
+
+  // Fetch a single document, returns { id, exists, data }
+  async getDocument(collectionPath, id) {
+    const [document] = await this.getAll(collectionPath, [id]);
+    return document;
+  }
+
+  // Write a single document
+  async setDocument(collectionPath, id, data, merge = false) {
+    await this.writeBatch([{ type: 'set', path: collectionPath, id, data, merge }]);
+  }
+}
+
+module.exports = DatastoreAdapter;
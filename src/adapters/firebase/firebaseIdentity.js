@@ -0,0 +1,54 @@
+const IdentityAdapter = require('../identityAdapter');
+const { logDetailedError } = require('../../config/firebase');
+const { logger } = require('../../utils/logger');
+
+// Identity adapter backed by Firebase Admin Auth
+class FirebaseIdentity extends IdentityAdapter {
+  constructor(name, auth) {
+    super(name);
+    this.auth = auth;
+  }
+
+  async listUsers(maxResults = 1000, pageToken = undefined) {
+    const result = await this.auth.listUsers(maxResults, pageToken);
+    return { users: result.users, pageToken: result.pageToken };
+  }
+
+  async importUsers(users, options = {}) {
+    return this.auth.importUsers(users, options);
+  }
+
+  async getUser(uid) {
+    return this.auth.getUser(uid);
+  }
+
+  async updateUser(uid, properties) {
+    return this.auth.updateUser(uid, properties);
+  }
+
+  async deleteUsers(uids) {
+    return this.auth.deleteUsers(uids);
+  }
+
+  async setCustomUserClaims(uid, claims) {
+    return this.auth.setCustomUserClaims(uid, claims);
+  }
+
+  async verifyIdToken(idToken) {
+    return this.auth.verifyIdToken(idToken);
+  }
+
+  async ping() {
+    try {
+      logger.info(`🔍 Checking ${this.name} auth health...`);
+      await this.auth.listUsers(1);
+      logger.info(`✅ ${this.name} auth health check passed`);
+      return true;
+    } catch (error) {
+      logDetailedError(error, `${this.name} auth health check`);
+      return false;
+    }
+  }
+}
+
+module.exports = FirebaseIdentity;
@@ -0,0 +1,174 @@
+const { FieldPath, FieldValue, GeoPoint } = require('firebase-admin').firestore;
+const DatastoreAdapter = require('../datastoreAdapter');
+const { logDetailedError } = require('../../config/firebase');
+const { logger } = require('../../utils/logger');
+
+const RANGE_OPERATORS = ['<', '<=', '>', '>=', '!='];
+const COLLECTION_GROUP_PAGE_SIZE = 1000;
+
+// Datastore adapter backed by a Firebase Admin Firestore instance
+class FirestoreDatastore extends DatastoreAdapter {
+  constructor(name, db) {
+    super(name);
+    this.db = db;
+  }
+
+  async listCollections(documentPath = null) {
+    const collectionRefs = documentPath
+      ? await this.db.doc(documentPath).listCollections()
+      : await this.db.listCollections();
+    return collectionRefs.map(ref => ref.path);
+  }
+
+  async listDocumentIds(collectionPath) {
+    const docRefs = await this.db.collection(collectionPath).listDocuments();
+    return docRefs.map(ref => ref.id);
+  }
+
+  // Only document references are read, paged so a large group is never held at once
+  async listCollectionGroupPaths(collectionId) {
+    const paths = new Set();
+    let cursor = null;
+
+    do {
+      let query = this.db.collectionGroup(collectionId)
+        .select()
+        .orderBy(FieldPath.documentId())
+        .limit(COLLECTION_GROUP_PAGE_SIZE);
+      if (cursor) {
+        query = query.startAfter(cursor);
+      }
+      const snapshot = await query.get();
+      snapshot.docs.forEach(doc => paths.add(doc.ref.parent.path));
+      cursor = snapshot.size === COLLECTION_GROUP_PAGE_SIZE ? snapshot.docs[snapshot.size - 1] : null;
+    } while (cursor);
+
+    return [...paths].sort();
+  }
+
+  async readPage(collectionPath, options = {}) {
+    const { limit = 500, startAfter = null, where = null, fields = null, startAtId = null, endBeforeId = null } = options;
+    let { orderBy = null } = options;
+    let query = this.db.collection(collectionPath);
+
+    if (where) {
+      query = query.where(...where);
+      // Firestore requires the first ordering to be on the range-filtered field
+      if (!orderBy && RANGE_OPERATORS.includes(where[1])) {
+        orderBy = where[0];
+      }
+    }
+    if (startAtId) {
+      query = query.where(FieldPath.documentId(), '>=', startAtId);
+    }
+    if (endBeforeId) {
+      query = query.where(FieldPath.documentId(), '<', endBeforeId);
+    }
+    if (orderBy) {
+      query = query.orderBy(orderBy);
+    }
+    query = query.orderBy(FieldPath.documentId());
+
+    if (fields) {
+      query = query.select(...fields);
+    }
+    if (startAfter) {
+      query = query.startAfter(startAfter);
+    }
+
+    const snapshot = await query.limit(limit).get();
+    const documents = snapshot.docs.map(doc => ({ id: doc.id, data: doc.data() }));
+
+    // The last snapshot doubles as the cursor for the next page
+    const nextCursor = snapshot.size === limit ? snapshot.docs[snapshot.size - 1] : null;
+    return { documents, nextCursor };
+  }
+
+  async getAll(collectionPath, ids) {
+    if (ids.length === 0) {
+      return [];
+    }
+
+    const docRefs = ids.map(id => this.db.collection(collectionPath).doc(id));
+    const snapshots = await this.db.getAll(...docRefs);
+    return snapshots.map(snapshot => ({
+      id: snapshot.id,
+      exists: snapshot.exists,
+      data: snapshot.exists ? snapshot.data() : null
+    }));
+  }
+
+  async writeBatch(operations) {
+    const batch = this.db.batch();
+
+    for (const operation of operations) {
+      const docRef = this.db.collection(operation.path).doc(operation.id);
+
+      if (operation.type === 'delete') {
+        batch.delete(docRef);
+        continue;
+      }
+
+      // FieldValue.delete() is only valid in merge writes, a full overwrite drops the fields anyway
+      const data = { ...operation.data };
+      for (const field of operation.merge ? operation.deleteFields || [] : []) {
+        if (!(field in data)) {
+          data[field] = FieldValue.delete();
+        }
+      }
+      batch.set(docRef, data, { merge: !!operation.merge });
+    }
+
+    await batch.commit();
+  }
+
+  async count(collectionPath) {
+    const snapshot = await this.db.collection(collectionPath).count().get();
+    return snapshot.data().count;
+  }
+
+  watchCollection(collectionPath, onChanges, onError) {
+    return this.db.collection(collectionPath).onSnapshot(
+      snapshot => onChanges(snapshot.docChanges().map(change => ({
+        type: change.type,
+        id: change.doc.id,
+        data: change.doc.data()
+      }))),
+      onError
+    );
+  }
+
+  watchCollectionGroup(collectionId, onChanges, onError) {
+    return this.db.collectionGroup(collectionId).onSnapshot(
+      snapshot => onChanges(snapshot.docChanges().map(change => ({
+        type: change.type,
+        id: change.doc.id,
+        path: change.doc.ref.parent.path,
+        data: change.doc.data()
+      }))),
+      onError
+    );
+  }
+
+  reference(documentPath) {
+    return this.db.doc(documentPath);
+  }
+
+  geoPoint(latitude, longitude) {
+    return new GeoPoint(latitude, longitude);
+  }
+
+  async ping() {
+    try {
+      logger.info(`🔍 Checking ${this.name} database health...`);
+      await this.db.collection('users').limit(1).get();
+      logger.info(`✅ ${this.name} database health check passed`);
+      return true;
+    } catch (error) {
+      logDetailedError(error, `${this.name} database health check`);
+      return false;
+    }
+  }
+}
+
+module.exports = FirestoreDatastore;
@@ -0,0 +1,53 @@
+// Base class for identity (user account) adapters
+//
+// User records follow the Firebase Admin UserRecord shape: uid, email,
+// emailVerified, displayName, photoURL, phoneNumber, disabled,
+// metadata { creationTime, lastSignInTime }, customClaims, providerData,
+// passwordHash and passwordSalt.
+class IdentityAdapter {
+  constructor(name) {
+    this.name = name; // 'main' or 'backup'
+  }
+
+  // List one page of users, returns { users, pageToken }
+  async listUsers(maxResults = 1000, pageToken = undefined) {
+    throw new Error(`${this.constructor.name} does not implement listUsers`);
+  }
+
+  // Create or overwrite users, returns { successCount, failureCount, errors: [{ index, error }] }
+  async importUsers(users, options = {}) {
+    throw new Error(`${this.constructor.name} does not implement importUsers`);
+  }
+
+  // Fetch one user, rejects when the user does not exist
+  async getUser(uid) {
+    throw new Error(`${this.constructor.name} does not implement getUser`);
+  }
+
+  // Update properties of one user (e.g. { disabled: true }), resolves to the updated record
+  async updateUser(uid, properties) {
+    throw new Error(`${this.constructor.name} does not implement updateUser`);
+  }
+
+  // Delete up to 1000 users, returns { successCount, failureCount, errors: [{ index, error }] }
+  async deleteUsers(uids) {
+    throw new Error(`${this.constructor.name} does not implement deleteUsers`);
+  }
+
+  // Replace a user's custom claims
+  async setCustomUserClaims(uid, claims) {
+    throw new Error(`${this.constructor.name} does not implement setCustomUserClaims`);
+  }
+
+  // Verify a client ID token, resolves to its decoded claims or rejects
+  async verifyIdToken(idToken) {
+    throw new Error(`${this.constructor.name} does not implement verifyIdToken`);
+  }
+
+  // Cheap connectivity probe, resolves to true or false
+  async ping() {
+    throw new Error(`${this.constructor.name} does not implement ping`);
+  }
+}
+
+module.exports = IdentityAdapter;
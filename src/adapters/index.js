@@ -0,0 +1,71 @@
+const path = require('path');
+const { datastoreAdapter, localDataDir, localPersist } = require('../config/syncConfig');
+const { logger } = require('../utils/logger');
+
+let adapters = null;
+
+// Firebase Admin adapters for the main and backup projects
+const createFirebaseAdapters = () => {
+  // Required lazily so local mode never needs Firebase credentials
+  const { mainApp, backupApp, mainDb, backupDb } = require('../config/firebase');
+  const FirestoreDatastore = require('./firebase/firestoreDatastore');
+  const FirebaseIdentity = require('./firebase/firebaseIdentity');
+
+  return {
+    main: {
+      db: new FirestoreDatastore('main', mainDb),
+      auth: new FirebaseIdentity('main', mainApp.auth())
+    },
+    backup: {
+      db: new FirestoreDatastore('backup', backupDb),
+      auth: new FirebaseIdentity('backup', backupApp.auth())
+    }
+  };
+};
+
+// In-memory adapters, persisted as JSON files unless LOCAL_PERSIST=false
+const createLocalAdapters = () => {
+  const MemoryDatastore = require('./local/memoryDatastore');
+  const MemoryIdentity = require('./local/memoryIdentity');
+  const filePath = file => (localPersist ? path.resolve(localDataDir, file) : null);
+
+  logger.info(`💾 Using local datastore adapters${localPersist ? ` in ${path.resolve(localDataDir)}` : ' (memory only)'}`);
+
+  return {
+    main: {
+      db: new MemoryDatastore('main', { filePath: filePath('main-datastore.json') }),
+      auth: new MemoryIdentity('main', { filePath: filePath('main-auth.json') })
+    },
+    backup: {
+      db: new MemoryDatastore('backup', { filePath: filePath('backup-datastore.json') }),
+      auth: new MemoryIdentity('backup', { filePath: filePath('backup-auth.json') })
+    }
+  };
+};
+
+// Adapter pair chosen by DATASTORE_ADAPTER, created once per process
+const getAdapters = () => {
+  if (!adapters) {
+    adapters = datastoreAdapter === 'local' ? createLocalAdapters() : createFirebaseAdapters();
+  }
+  return adapters;
+};
+
+// Probe every datastore and identity backend
+const testConnections = async () => {
+  const { main, backup } = getAdapters();
+  const [mainDb, backupDb, mainAuth, backupAuth] = await Promise.all([
+    main.db.ping(),
+    backup.db.ping(),
+    main.auth.ping(),
+    backup.auth.ping()
+  ]);
+
+  logger.info(`🔌 Connections: MainDB=${mainDb}, BackupDB=${backupDb}, MainAuth=${mainAuth}, BackupAuth=${backupAuth}`);
+  return { mainDb, backupDb, mainAuth, backupAuth };
+};
+
+module.exports = {
+  getAdapters,
+  testConnections
+};
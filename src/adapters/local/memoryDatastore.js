@@ -0,0 +1,251 @@
+const EventEmitter = require('events');
+const _ = require('lodash');
+const DatastoreAdapter = require('../datastoreAdapter');
+const { readJsonFile, writeJsonFileAtomic } = require('../../utils/atomicFile');
+const { logger } = require('../../utils/logger');
+
+// Firestore orders values of different types by type before value
+const TYPE_ORDER = ['undefined', 'boolean', 'number', 'string', 'object'];
+
+const compareValues = (a, b) => {
+  const typeA = a === null ? 'undefined' : typeof a;
+  const typeB = b === null ? 'undefined' : typeof b;
+  if (typeA !== typeB) {
+    return TYPE_ORDER.indexOf(typeA) - TYPE_ORDER.indexOf(typeB);
+  }
+  if (a === b || typeA === 'object') {
+    return 0;
+  }
+  return a < b ? -1 : 1;
+};
+
+// Like Firestore, comparisons only match values of the same type
+const matchesFilter = (value, operator, expected) => {
+  if (operator === '==') {
+    return _.isEqual(value, expected);
+  }
+  if (operator === '!=') {
+    return value !== undefined && !_.isEqual(value, expected);
+  }
+  if (value === undefined || value === null || typeof value !== typeof expected) {
+    return false;
+  }
+
+  const comparison = compareValues(value, expected);
+  switch (operator) {
+    case '<': return comparison < 0;
+    case '<=': return comparison <= 0;
+    case '>': return comparison > 0;
+    case '>=': return comparison >= 0;
+    default:
+      throw new Error(`Unsupported operator ${operator}`);
+  }
+};
+
+// In-memory datastore with optional JSON file persistence, for running offline
+class MemoryDatastore extends DatastoreAdapter {
+  constructor(name, { filePath = null } = {}) {
+    super(name);
+    this.filePath = filePath;
+    this.collections = new Map(); // collection path -> Map(document id -> data)
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+    this.load();
+  }
+
+  load() {
+    if (!this.filePath) {
+      return;
+    }
+
+    try {
+      const saved = readJsonFile(this.filePath, { collections: {} });
+      for (const [collectionPath, documents] of Object.entries(saved.collections)) {
+        this.collections.set(collectionPath, new Map(Object.entries(documents)));
+      }
+      logger.info(`📂 Loaded ${this.collections.size} collections for local ${this.name} datastore`);
+    } catch (error) {
+      logger.error(`❌ Failed to load local ${this.name} datastore:`, error);
+    }
+  }
+
+  persist() {
+    if (!this.filePath) {
+      return;
+    }
+
+    const collections = {};
+    for (const [collectionPath, documents] of this.collections) {
+      collections[collectionPath] = Object.fromEntries(documents);
+    }
+    writeJsonFileAtomic(this.filePath, { collections });
+  }
+
+  getCollection(collectionPath) {
+    return this.collections.get(collectionPath) || new Map();
+  }
+
+  async listCollections(documentPath = null) {
+    const depth = documentPath ? documentPath.split('/').length + 1 : 1;
+    const prefix = documentPath ? `${documentPath}/` : '';
+    const paths = new Set();
+
+    for (const [collectionPath, documents] of this.collections) {
+      if (documents.size === 0 || !collectionPath.startsWith(prefix)) {
+        continue;
+      }
+      // Ancestors of deeper collections count as well, like in Firestore
+      const segments = collectionPath.split('/');
+      if (segments.length >= depth) {
+        paths.add(segments.slice(0, depth).join('/'));
+      }
+    }
+
+    return [...paths].sort();
+  }
+
+  async listDocumentIds(collectionPath) {
+    const ids = new Set(this.getCollection(collectionPath).keys());
+    const depth = collectionPath.split('/').length;
+
+    // Parents that only hold subcollections
+    for (const [path, documents] of this.collections) {
+      if (documents.size > 0 && path.startsWith(`${collectionPath}/`)) {
+        ids.add(path.split('/')[depth]);
+      }
+    }
+
+    return [...ids].sort();
+  }
+
+  async listCollectionGroupPaths(collectionId) {
+    return [...this.collections.entries()]
+      .filter(([collectionPath, documents]) => documents.size > 0 && collectionPath.split('/').pop() === collectionId)
+      .map(([collectionPath]) => collectionPath)
+      .sort();
+  }
+
+  async readPage(collectionPath, options = {}) {
+    const { limit = 500, startAfter = null, where = null, orderBy = null, fields = null } = options;
+    const { startAtId = null, endBeforeId = null } = options;
+    const sortField = orderBy || (where && !['==', '!='].includes(where[1]) ? where[0] : null);
+
+    let documents = [...this.getCollection(collectionPath).entries()]
+      .map(([id, data]) => ({ id, data }))
+      .filter(doc => (!startAtId || doc.id >= startAtId) && (!endBeforeId || doc.id < endBeforeId))
+      .filter(doc => !where || matchesFilter(_.get(doc.data, where[0]), where[1], where[2]))
+      .filter(doc => !sortField || _.get(doc.data, sortField) !== undefined);
+
+    const sortKey = doc => (sortField ? [_.get(doc.data, sortField), doc.id] : [null, doc.id]);
+    const compareKeys = (a, b) => compareValues(a[0], b[0]) || compareValues(a[1], b[1]);
+
+    documents.sort((a, b) => compareKeys(sortKey(a), sortKey(b)));
+    if (startAfter) {
+      documents = documents.filter(doc => compareKeys(sortKey(doc), startAfter) > 0);
+    }
+
+    const page = documents.slice(0, limit).map(doc => ({
+      id: doc.id,
+      data: fields ? _.pick(doc.data, fields) : _.cloneDeep(doc.data)
+    }));
+    const last = documents[limit - 1];
+    const nextCursor = documents.length > limit ? sortKey(last) : null;
+
+    return { documents: page, nextCursor };
+  }
+
+  async getAll(collectionPath, ids) {
+    const documents = this.getCollection(collectionPath);
+    return ids.map(id => ({
+      id,
+      exists: documents.has(id),
+      data: documents.has(id) ? _.cloneDeep(documents.get(id)) : null
+    }));
+  }
+
+  async writeBatch(operations) {
+    const changesByPath = new Map();
+
+    for (const operation of operations) {
+      if (!this.collections.has(operation.path)) {
+        this.collections.set(operation.path, new Map());
+      }
+      const documents = this.collections.get(operation.path);
+      const existed = documents.has(operation.id);
+      let change;
+
+      if (operation.type === 'delete') {
+        if (!existed) {
+          continue;
+        }
+        documents.delete(operation.id);
+        change = { type: 'removed', id: operation.id, data: null };
+      } else {
+        const base = operation.merge && existed ? documents.get(operation.id) : {};
+        // Merge writes deep-merge maps but replace arrays, as Firestore does
+        const merged = _.mergeWith({}, base, _.cloneDeep(operation.data),
+          (existing, incoming) => (Array.isArray(incoming) ? incoming : undefined));
+        const data = _.omit(merged, (operation.deleteFields || [])
+          .filter(field => !(field in operation.data)));
+        documents.set(operation.id, data);
+        change = { type: existed ? 'modified' : 'added', id: operation.id, data: _.cloneDeep(data) };
+      }
+
+      if (!changesByPath.has(operation.path)) {
+        changesByPath.set(operation.path, []);
+      }
+      changesByPath.get(operation.path).push(change);
+    }
+
+    this.persist();
+
+    for (const [collectionPath, changes] of changesByPath) {
+      this.emitter.emit(`change:${collectionPath}`, changes);
+      this.emitter.emit(`group:${collectionPath.split('/').pop()}`, changes.map(change => ({ ...change, path: collectionPath })));
+    }
+  }
+
+  async count(collectionPath) {
+    return this.getCollection(collectionPath).size;
+  }
+
+  watchCollection(collectionPath, onChanges, onError) {
+    const listener = changes => onChanges(changes);
+    this.emitter.on(`change:${collectionPath}`, listener);
+
+    // Deliver the current contents first, as Firestore does
+    setImmediate(() => {
+      const initial = [...this.getCollection(collectionPath).entries()]
+        .map(([id, data]) => ({ type: 'added', id, data: _.cloneDeep(data) }));
+      onChanges(initial);
+    });
+
+    return () => this.emitter.off(`change:${collectionPath}`, listener);
+  }
+
+  watchCollectionGroup(collectionId, onChanges, onError) {
+    const listener = changes => onChanges(changes);
+    this.emitter.on(`group:${collectionId}`, listener);
+
+    setImmediate(() => {
+      const initial = [];
+      for (const [collectionPath, documents] of this.collections) {
+        if (collectionPath.split('/').pop() !== collectionId) {
+          continue;
+        }
+        for (const [id, data] of documents) {
+          initial.push({ type: 'added', id, path: collectionPath, data: _.cloneDeep(data) });
+        }
+      }
+      onChanges(initial);
+    });
+
+    return () => this.emitter.off(`group:${collectionId}`, listener);
+  }
+
+  async ping() {
+    return true;
+  }
+}
+
+module.exports = MemoryDatastore;
@@ -0,0 +1,148 @@
+const _ = require('lodash');
+const IdentityAdapter = require('../identityAdapter');
+const { readJsonFile, writeJsonFileAtomic } = require('../../utils/atomicFile');
+const { logger } = require('../../utils/logger');
+
+// Buffers are stored as base64 strings, matching what Firebase listUsers returns
+const toBase64 = value => (Buffer.isBuffer(value) ? value.toString('base64') : value);
+
+// Reject hash options the way the Admin SDK does for SCRYPT before importing anything
+const validateHashOptions = (hash) => {
+  const fail = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    throw error;
+  };
+
+  if (!hash || !hash.algorithm) {
+    fail('auth/missing-hash-algorithm', 'Importing users with password hashes requires that the hashing algorithm and its parameters be provided');
+  }
+  if (hash.algorithm !== 'SCRYPT') {
+    return;
+  }
+  if (!Buffer.isBuffer(hash.key) || hash.key.length === 0) {
+    fail('auth/invalid-hash-key', 'A non-empty "hash.key" byte buffer must be provided for hash algorithm SCRYPT');
+  }
+  if (!Number.isInteger(hash.rounds) || hash.rounds < 1 || hash.rounds > 8) {
+    fail('auth/invalid-hash-rounds', 'A valid "hash.rounds" number between 1 and 8 must be provided for hash algorithm SCRYPT');
+  }
+  if (!Number.isInteger(hash.memoryCost) || hash.memoryCost < 1 || hash.memoryCost > 14) {
+    fail('auth/invalid-hash-memory-cost', 'A valid "hash.memoryCost" number between 1 and 14 must be provided for hash algorithm SCRYPT');
+  }
+};
+
+// In-memory user directory with optional JSON file persistence, for running offline
+class MemoryIdentity extends IdentityAdapter {
+  constructor(name, { filePath = null } = {}) {
+    super(name);
+    this.filePath = filePath;
+    this.users = new Map(); // uid -> user record
+    this.load();
+  }
+
+  load() {
+    if (!this.filePath) {
+      return;
+    }
+
+    try {
+      const saved = readJsonFile(this.filePath, { users: [] });
+      saved.users.forEach(user => this.users.set(user.uid, user));
+      logger.info(`📂 Loaded ${this.users.size} users for local ${this.name} identity store`);
+    } catch (error) {
+      logger.error(`❌ Failed to load local ${this.name} identity store:`, error);
+    }
+  }
+
+  persist() {
+    if (this.filePath) {
+      writeJsonFileAtomic(this.filePath, { users: [...this.users.values()] });
+    }
+  }
+
+  async listUsers(maxResults = 1000, pageToken = undefined) {
+    const uids = [...this.users.keys()].sort();
+    const start = pageToken ? uids.findIndex(uid => uid > pageToken) : 0;
+    const pageUids = start === -1 ? [] : uids.slice(start, start + maxResults);
+    const hasMore = start !== -1 && start + maxResults < uids.length;
+
+    return {
+      users: pageUids.map(uid => _.cloneDeep(this.users.get(uid))),
+      pageToken: hasMore ? pageUids[pageUids.length - 1] : undefined
+    };
+  }
+
+  async importUsers(users, options = {}) {
+    if (users.some(user => user.passwordHash)) {
+      validateHashOptions(options.hash);
+    }
+
+    const errors = [];
+    let successCount = 0;
+
+    users.forEach((user, index) => {
+      if (!user.uid) {
+        errors.push({ index, error: { code: 'auth/invalid-uid', message: 'Missing uid' } });
+        return;
+      }
+
+      const now = new Date().toUTCString();
+      this.users.set(user.uid, {
+        uid: user.uid,
+        email: user.email,
+        emailVerified: !!user.emailVerified,
+        displayName: user.displayName,
+        photoURL: user.photoURL,
+        phoneNumber: user.phoneNumber,
+        disabled: !!user.disabled,
+        metadata: {
+          creationTime: user.metadata?.creationTime || now,
+          lastSignInTime: user.metadata?.lastSignInTime || null
+        },
+        customClaims: user.customClaims || {},
+        providerData: user.providerData || [],
+        passwordHash: toBase64(user.passwordHash),
+        passwordSalt: toBase64(user.passwordSalt)
+      });
+      successCount++;
+    });
+
+    this.persist();
+    return { successCount, failureCount: errors.length, errors };
+  }
+
+  async getUser(uid) {
+    if (!this.users.has(uid)) {
+      const error = new Error(`There is no user record corresponding to the provided identifier: ${uid}`);
+      error.code = 'auth/user-not-found';
+      throw error;
+    }
+    return _.cloneDeep(this.users.get(uid));
+  }
+
+  async updateUser(uid, properties) {
+    const user = { ...(await this.getUser(uid)), ...properties };
+    this.users.set(uid, user);
+    this.persist();
+    return _.cloneDeep(user);
+  }
+
+  // Like the Admin SDK, unknown UIDs count as deleted
+  async deleteUsers(uids) {
+    uids.forEach(uid => this.users.delete(uid));
+    this.persist();
+    return { successCount: uids.length, failureCount: 0, errors: [] };
+  }
+
+  async setCustomUserClaims(uid, claims) {
+    const user = await this.getUser(uid);
+    this.users.set(uid, { ...user, customClaims: claims || {} });
+    this.persist();
+  }
+
+  async ping() {
+    return true;
+  }
+}
+
+module.exports = MemoryIdentity;
@@ -127,88 +127,10 @@ const backupApp = admin.initializeApp({
 const mainDb = admin.firestore(mainApp);
 const backupDb = admin.firestore(backupApp);
 
-// Enhanced test connections with more detailed error logging
-const testConnections = async () => {
-  try {
-    await mainDb.collection('users').limit(1).get();
-    logger.info('✅ Main database connection successful');
-    
-    await backupDb.collection('users').limit(1).get();
-    logger.info('✅ Backup database connection successful');
-    
-    await mainApp.auth().listUsers(1);
-    logger.info('✅ Main Firebase Auth connection successful');
-    
-    await backupApp.auth().listUsers(1);
-    logger.info('✅ Backup Firebase Auth connection successful');
-    
-    return { mainDb: true, backupDb: true, mainAuth: true, backupAuth: true };
-  } catch (error) {
-    logDetailedError(error, 'testConnections');
-    return { mainDb: false, backupDb: false, mainAuth: false, backupAuth: false };
-  }
-};
-
-// Check if main database is available
-const checkMainDbHealth = async () => {
-  try {
-    logger.info('🔍 Checking main database health...');
-    const snapshot = await mainDb.collection('users').limit(1).get();
-    logger.info('✅ Main database health check passed');
-    return true;
-  } catch (error) {
-    logDetailedError(error, 'checkMainDbHealth');
-    return false;
-  }
-};
-
-// Check if backup database is available
-const checkBackupDbHealth = async () => {
-  try {
-    logger.info('🔍 Checking backup database health...');
-    const snapshot = await backupDb.collection('users').limit(1).get();
-    logger.info('✅ Backup database health check passed');
-    return true;
-  } catch (error) {
-    logDetailedError(error, 'checkBackupDbHealth');
-    return false;
-  }
-};
-
-// Check if main auth is available
-const checkMainAuthHealth = async () => {
-  try {
-    logger.info('🔍 Checking main auth health...');
-    await mainApp.auth().listUsers(1);
-    logger.info('✅ Main auth health check passed');
-    return true;
-  } catch (error) {
-    logDetailedError(error, 'checkMainAuthHealth');
-    return false;
-  }
-};
-
-// Check if backup auth is available
-const checkBackupAuthHealth = async () => {
-  try {
-    logger.info('🔍 Checking backup auth health...');
-    await backupApp.auth().listUsers(1);
-    logger.info('✅ Backup auth health check passed');
-    return true;
-  } catch (error) {
-    logDetailedError(error, 'checkBackupAuthHealth');
-    return false;
-  }
-};
-
 module.exports = {
   mainApp,
   backupApp,
   mainDb,
   backupDb,
-  testConnections,
-  checkMainDbHealth,
-  checkBackupDbHealth,
-  checkMainAuthHealth,
-  checkBackupAuthHealth
-}; 
\ No newline at end of file
+  logDetailedError
+};
\ No newline at end of file
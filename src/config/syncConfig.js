@@ -0,0 +1,238 @@
+const { logger } = require('../utils/logger');
+const { getSchemaKey } = require('../utils/collectionPaths');
+
+// Parse a JSON object from an environment variable, falling back on bad input
+const parseJsonEnv = (name, fallback) => {
+  const raw = process.env[name];
+  if (!raw) {
+    return fallback;
+  }
+
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    logger.error(`❌ Invalid JSON in ${name}, using defaults:`, error.message);
+    return fallback;
+  }
+};
+
+// Deletion propagation policies
+// - delete: remove the document from backup
+// - soft-delete: keep the document but flag it and stamp deletedAt
+// - keep: leave backup untouched
+const DELETION_POLICIES = ['delete', 'soft-delete', 'keep'];
+
+const defaultDeletionPolicy = DELETION_POLICIES.includes(process.env.DELETION_POLICY)
+  ? process.env.DELETION_POLICY
+  : 'delete';
+
+// Per-collection overrides, e.g. {"appointments":"soft-delete","notifications":"delete"}
+const deletionPolicies = parseJsonEnv('DELETION_POLICIES', {});
+
+const getDeletionPolicy = (collectionName) => {
+  const policy = deletionPolicies[collectionName];
+  if (policy && !DELETION_POLICIES.includes(policy)) {
+    logger.warn(`⚠️ Unknown deletion policy "${policy}" for ${collectionName}, using ${defaultDeletionPolicy}`);
+    return defaultDeletionPolicy;
+  }
+  return policy || defaultDeletionPolicy;
+};
+
+// What auth sync does with backup users that no longer exist in main
+// - delete: remove them from backup auth
+// - disable: keep the account but block sign-in
+// - keep: leave them alone (verifyAuthSyncIntegrity still reports them)
+const AUTH_DELETION_POLICIES = ['delete', 'disable', 'keep'];
+const authDeletionPolicy = AUTH_DELETION_POLICIES.includes(process.env.AUTH_DELETION_POLICY)
+  ? process.env.AUTH_DELETION_POLICY
+  : 'disable';
+
+// Conflict policies for recovery (backup -> main) when both sides changed a document
+// - main-wins: keep main's version
+// - backup-wins: overwrite main with backup's version
+// - last-writer-wins: newer normalized updatedAt/createdAt wins, ties go to the conflict queue
+// - three-way-merge: merge field by field against the last synced version
+const CONFLICT_POLICIES = ['main-wins', 'backup-wins', 'last-writer-wins', 'three-way-merge'];
+
+const defaultConflictPolicy = CONFLICT_POLICIES.includes(process.env.CONFLICT_POLICY)
+  ? process.env.CONFLICT_POLICY
+  : 'last-writer-wins';
+
+// Per-collection overrides, e.g. {"appointments":"three-way-merge"}
+const conflictPolicies = parseJsonEnv('CONFLICT_POLICIES', {});
+
+const getConflictPolicy = (collectionName) => {
+  const policy = conflictPolicies[collectionName];
+  if (policy && !CONFLICT_POLICIES.includes(policy)) {
+    logger.warn(`⚠️ Unknown conflict policy "${policy}" for ${collectionName}, using ${defaultConflictPolicy}`);
+    return defaultConflictPolicy;
+  }
+  return policy || defaultConflictPolicy;
+};
+
+// Change detection for incremental runs
+// - timestamp: documents newer than the checkpoint watermark (needs updatedAt)
+// - hash: documents whose content hash differs from the last synced hash
+// - auto: timestamp when the collection's schema has updatedAt, hash otherwise
+const CHANGE_DETECTION_METHODS = ['auto', 'timestamp', 'hash'];
+
+const defaultChangeDetection = CHANGE_DETECTION_METHODS.includes(process.env.CHANGE_DETECTION)
+  ? process.env.CHANGE_DETECTION
+  : 'auto';
+
+// Per-collection overrides, e.g. {"chats":"hash"}
+const changeDetectionMethods = parseJsonEnv('CHANGE_DETECTION_METHODS', {});
+
+const getChangeDetection = (collectionName) => {
+  const method = changeDetectionMethods[collectionName];
+  if (method && !CHANGE_DETECTION_METHODS.includes(method)) {
+    logger.warn(`⚠️ Unknown change detection "${method}" for ${collectionName}, using ${defaultChangeDetection}`);
+    return defaultChangeDetection;
+  }
+  return method || defaultChangeDetection;
+};
+
+// Volatile fields the integrity check leaves out of content comparisons, by collection path,
+// schema key or '*' for all, e.g. {"*":["lastSeen"],"chats/{id}/messages":["readBy"]}
+const integrityIgnoreFields = parseJsonEnv('INTEGRITY_IGNORE_FIELDS', {});
+
+const getIntegrityIgnoreFields = collectionPath => [
+  ...(integrityIgnoreFields['*'] || []),
+  ...(integrityIgnoreFields[collectionPath] || []),
+  ...(getSchemaKey(collectionPath) !== collectionPath ? integrityIgnoreFields[getSchemaKey(collectionPath)] || [] : [])
+];
+
+// What integrity repair does with documents only present in backup
+// - report: leave them for recovery or an admin
+// - copy-to-main: restore them into main
+// - delete-from-backup: apply the collection's deletion policy in backup
+const MISSING_IN_MAIN_POLICIES = ['report', 'copy-to-main', 'delete-from-backup'];
+const missingInMainPolicy = MISSING_IN_MAIN_POLICIES.includes(process.env.INTEGRITY_MISSING_IN_MAIN_POLICY)
+  ? process.env.INTEGRITY_MISSING_IN_MAIN_POLICY
+  : 'report';
+
+// Replication mode: 'cron' runs scheduled batch syncs only, 'realtime' also
+// mirrors changes through snapshot listeners (the cron sync stays as a safety net)
+const SYNC_MODES = ['cron', 'realtime'];
+const syncMode = SYNC_MODES.includes(process.env.SYNC_MODE) ? process.env.SYNC_MODE : 'cron';
+
+// Datastore/identity adapter pair: 'firebase' talks to the two live projects,
+// 'local' keeps both sides in memory and persists them under LOCAL_DATA_DIR
+const DATASTORE_ADAPTERS = ['firebase', 'local'];
+const datastoreAdapter = DATASTORE_ADAPTERS.includes(process.env.DATASTORE_ADAPTER)
+  ? process.env.DATASTORE_ADAPTER
+  : 'firebase';
+
+// Internal bookkeeping collection in backup, never discovered or synced
+const SYNC_META_COLLECTION = '_sync_meta';
+
+// Where sync checkpoints are persisted: 'file' (atomic local JSON) or 'backup' (_sync_meta doc)
+const CHECKPOINT_BACKENDS = ['file', 'backup'];
+const checkpointBackend = CHECKPOINT_BACKENDS.includes(process.env.CHECKPOINT_STORE)
+  ? process.env.CHECKPOINT_STORE
+  : 'file';
+
+module.exports = {
+  parseJsonEnv,
+  SYNC_META_COLLECTION,
+  CHECKPOINT_BACKENDS,
+  checkpointBackend,
+  checkpointFile: process.env.CHECKPOINT_FILE || 'logs/sync-checkpoints.json',
+  DATASTORE_ADAPTERS,
+  datastoreAdapter,
+  localDataDir: process.env.LOCAL_DATA_DIR || 'data',
+  localPersist: process.env.LOCAL_PERSIST !== 'false',
+  SYNC_MODES,
+  syncMode,
+  realtimeResubscribeBaseMs: parseInt(process.env.REALTIME_RESUBSCRIBE_BASE_MS, 10) || 5000,
+  realtimeResubscribeMaxMs: parseInt(process.env.REALTIME_RESUBSCRIBE_MAX_MS, 10) || 300000,
+  readPageSize: parseInt(process.env.READ_PAGE_SIZE, 10) || 300,
+  partitionThreshold: parseInt(process.env.PARTITION_THRESHOLD, 10) || 5000,
+  partitionCount: parseInt(process.env.PARTITION_COUNT, 10) || 4,
+  discoverSubcollections: process.env.DISCOVER_SUBCOLLECTIONS !== 'false',
+  subcollectionMaxDepth: parseInt(process.env.SUBCOLLECTION_MAX_DEPTH, 10) || 3,
+  // Subcollection IDs found with one collection-group query each, e.g. ["messages","files"];
+  // empty means listing the subcollections below every document
+  subcollectionNames: parseJsonEnv('SUBCOLLECTION_NAMES', []),
+  // Syncs reuse the discovered collection tree, it is walked again on this schedule (a cron step, 1-59)
+  discoveryIntervalMinutes: Math.min(Math.max(parseInt(process.env.DISCOVERY_INTERVAL_MINUTES, 10) || 30, 1), 59),
+  DELETION_POLICIES,
+  SOFT_DELETE_FIELD: process.env.SOFT_DELETE_FIELD || 'isDeleted',
+  getDeletionPolicy,
+  AUTH_DELETION_POLICIES,
+  authDeletionPolicy,
+  // At most this many backup users are deleted or disabled per auth sync, the rest wait for the next run
+  authDeletionMaxPerRun: parseInt(process.env.AUTH_DELETION_MAX_PER_RUN, 10) || 25,
+  // Incremental auth sync schedule, a cron step so 1-59 minutes
+  authSyncIntervalMinutes: Math.min(Math.max(parseInt(process.env.AUTH_SYNC_INTERVAL_MINUTES, 10) || 5, 1), 59),
+  authCheckpointFile: process.env.AUTH_CHECKPOINT_FILE || 'logs/auth-sync-checkpoint.json',
+  CONFLICT_POLICIES,
+  getConflictPolicy,
+  CHANGE_DETECTION_METHODS,
+  getChangeDetection,
+  getIntegrityIgnoreFields,
+  // Main project's SCRYPT password hash parameters, from the Firebase console
+  // (Authentication > Users > Password hash parameters); key and separator are base64
+  mainAuthHash: {
+    key: process.env.MAIN_AUTH_HASH_KEY || null,
+    saltSeparator: process.env.MAIN_AUTH_HASH_SALT_SEPARATOR || 'Bw==',
+    rounds: parseInt(process.env.MAIN_AUTH_HASH_ROUNDS, 10) || 8,
+    memoryCost: parseInt(process.env.MAIN_AUTH_HASH_MEMORY_COST, 10) || 14
+  },
+  // Backup project's parameters, for accounts created on backup during a failover and recovered into main
+  backupAuthHash: {
+    key: process.env.BACKUP_AUTH_HASH_KEY || null,
+    saltSeparator: process.env.BACKUP_AUTH_HASH_SALT_SEPARATOR || 'Bw==',
+    rounds: parseInt(process.env.BACKUP_AUTH_HASH_ROUNDS, 10) || 8,
+    memoryCost: parseInt(process.env.BACKUP_AUTH_HASH_MEMORY_COST, 10) || 14
+  },
+  apiAuthEnabled: process.env.API_AUTH_ENABLED !== 'false',
+  // Machine callers, e.g. [{"name":"render-cron","key":"...","scopes":["read","write"]}]
+  apiKeys: parseJsonEnv('API_KEYS', []),
+  // Alert webhooks, e.g. [{"name":"ops","type":"slack","url":"https://hooks.slack.com/services/..."},
+  // {"name":"pager","type":"http","url":"https://...","headers":{"Authorization":"Bearer ..."}}]
+  alertWebhooks: parseJsonEnv('ALERT_WEBHOOKS', []),
+  // SMTP alert target, enabled when SMTP_HOST and ALERT_EMAIL_TO are set
+  alertSmtp: {
+    host: process.env.SMTP_HOST || null,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER || null,
+    pass: process.env.SMTP_PASS || null,
+    from: process.env.ALERT_EMAIL_FROM || 'firebase-sync@localhost',
+    to: process.env.ALERT_EMAIL_TO || null
+  },
+  alertDedupWindowMinutes: parseInt(process.env.ALERT_DEDUP_WINDOW_MINUTES, 10) || 30,
+  alertRateLimitPerHour: parseInt(process.env.ALERT_RATE_LIMIT_PER_HOUR, 10) || 20,
+  alertSyncErrorThreshold: parseInt(process.env.ALERT_SYNC_ERROR_THRESHOLD, 10) || 1,
+  // Failover debounce: how long main must stay down before failing over, and up before failing back
+  failoverAfterSeconds: parseInt(process.env.FAILOVER_AFTER_SECONDS, 10) || 30,
+  failbackAfterSeconds: parseInt(process.env.FAILBACK_AFTER_SECONDS, 10) || 60,
+  // With FAILBACK_AUTO=false the system stays failed over until POST /api/recover completes
+  autoFailback: process.env.FAILBACK_AUTO !== 'false',
+  failoverStateFile: process.env.FAILOVER_STATE_FILE || 'logs/failover-state.json',
+  // Health probes: cache TTL, per-probe timeout, circuit breaker and per-target history length
+  healthCacheTtlMs: parseInt(process.env.HEALTH_CACHE_TTL_MS, 10) || 5000,
+  healthProbeTimeoutMs: parseInt(process.env.HEALTH_PROBE_TIMEOUT_MS, 10) || 5000,
+  healthBreakerThreshold: parseInt(process.env.HEALTH_BREAKER_THRESHOLD, 10) || 3,
+  healthBreakerCooldownMs: parseInt(process.env.HEALTH_BREAKER_COOLDOWN_MS, 10) || 60000,
+  healthHistorySize: parseInt(process.env.HEALTH_HISTORY_SIZE, 10) || 30,
+  historyFile: process.env.HISTORY_FILE || 'logs/sync-history.json',
+  historyMaxRecords: parseInt(process.env.HISTORY_MAX_RECORDS, 10) || 1000,
+  historyRetentionDays: parseInt(process.env.HISTORY_RETENTION_DAYS, 10) || 30,
+  integrityAutoRepair: process.env.INTEGRITY_AUTO_REPAIR === 'true',
+  integrityRepairMaxActions: parseInt(process.env.INTEGRITY_REPAIR_MAX_ACTIONS, 10) || 500,
+  MISSING_IN_MAIN_POLICIES,
+  missingInMainPolicy,
+  syncStateDir: process.env.SYNC_STATE_DIR || 'logs/sync-state',
+  snapshotsEnabled: process.env.SNAPSHOTS_ENABLED !== 'false',
+  snapshotDir: process.env.SNAPSHOT_DIR || 'snapshots',
+  snapshotSchedule: process.env.SNAPSHOT_CRON || '0 * * * *',
+  // How many of the newest hourly, daily and weekly snapshots to keep
+  snapshotRetention: {
+    hourly: parseInt(process.env.SNAPSHOT_KEEP_HOURLY, 10) || 24,
+    daily: parseInt(process.env.SNAPSHOT_KEEP_DAILY, 10) || 7,
+    weekly: parseInt(process.env.SNAPSHOT_KEEP_WEEKLY, 10) || 4
+  },
+  conflictQueueFile: process.env.CONFLICT_QUEUE_FILE || 'logs/conflicts.json'
+};
@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+const { getAdapters } = require('../adapters');
+const { apiAuthEnabled, apiKeys, datastoreAdapter } = require('../config/syncConfig');
+const { logger } = require('../utils/logger');
+
+const SCOPES = ['read', 'write'];
+
+// Routes under /api that stay open: liveness for the load balancer, and the
+// client config the frontend reads before it knows which project to sign in to
+const PUBLIC_PATHS = ['/health', '/health/live', '/health/ready', '/firebase-config'];
+
+// GET routes that still change data
+const MUTATING_GET_PATHS = ['/debug/test-write'];
+
+// Role lookups from the users collection are cached briefly to avoid a read per request
+const ROLE_CACHE_TTL_MS = 60000;
+const ROLE_CACHE_MAX_ENTRIES = 1000;
+
+const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+
+// Constant-time API key lookup
+const findApiKey = (presented) => {
+  const presentedDigest = digest(presented);
+  return apiKeys.find(entry => entry.key && crypto.timingSafeEqual(digest(entry.key), presentedDigest)) || null;
+};
+
+const requiredScope = req => (
+  req.method === 'GET' && !MUTATING_GET_PATHS.includes(req.path) ? 'read' : 'write'
+);
+
+const getCredential = (req) => {
+  const apiKey = req.get('x-api-key');
+  if (apiKey) {
+    return apiKey;
+  }
+
+  const header = req.get('authorization') || '';
+  const match = /^Bearer\s+(.+)$/i.exec(header);
+  return match ? match[1].trim() : null;
+};
+
+// Resolves an admin Firebase ID token or an API key to a principal { type, uid|name, scopes }
+// Shared by the REST middleware and the Socket.IO handshake. Admin users get every scope.
+const createAuthenticator = (syncService) => {
+  const { main, backup } = getAdapters();
+  const roleCache = new Map(); // `${project}:${uid}` -> { role, expiresAt }
+
+  // Verify against main, or backup when main is down or the token was issued by the backup project
+  const verifyToken = async (idToken) => {
+    // The local identity stores cannot issue or verify ID tokens, local mode is API-key only
+    if (datastoreAdapter === 'local') {
+      const error = new Error('ID tokens are not supported with DATASTORE_ADAPTER=local, authenticate with an API key');
+      error.code = 'ID_TOKENS_UNSUPPORTED';
+      throw error;
+    }
+    if (syncService.isMainAuthOnline !== false) {
+      try {
+        return { project: 'main', claims: await main.auth.verifyIdToken(idToken) };
+      } catch (error) {
+        logger.debug(`🔑 Token rejected by main auth: ${error.code || error.message}`);
+      }
+    }
+    return { project: 'backup', claims: await backup.auth.verifyIdToken(idToken) };
+  };
+
+  // Keeps the cache bounded: drop expired entries when full, then the oldest (Maps iterate in insertion order)
+  const cacheRole = (cacheKey, role) => {
+    const now = Date.now();
+    if (roleCache.size >= ROLE_CACHE_MAX_ENTRIES) {
+      roleCache.forEach((entry, key) => {
+        if (entry.expiresAt <= now) {
+          roleCache.delete(key);
+        }
+      });
+    }
+    while (roleCache.size >= ROLE_CACHE_MAX_ENTRIES) {
+      roleCache.delete(roleCache.keys().next().value);
+    }
+    roleCache.set(cacheKey, { role, expiresAt: now + ROLE_CACHE_TTL_MS });
+  };
+
+  // Role stored on the user's document, read from the same project that issued the token
+  const getUserRole = async (project, uid) => {
+    const cacheKey = `${project}:${uid}`;
+    const cached = roleCache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.role;
+    }
+    roleCache.delete(cacheKey);
+
+    const db = project === 'main' ? main.db : backup.db;
+    const snapshot = await db.getDocument('users', uid);
+    const role = snapshot.exists ? snapshot.data.role || null : null;
+    cacheRole(cacheKey, role);
+    return role;
+  };
+
+  const authenticate = async (credential) => {
+    const apiKey = findApiKey(credential);
+    if (apiKey) {
+      return { type: 'apiKey', name: apiKey.name || 'api-key', scopes: (apiKey.scopes || []).filter(scope => SCOPES.includes(scope)) };
+    }
+
+    const { project, claims } = await verifyToken(credential);
+    const isAdmin = claims.admin === true || claims.role === 'admin'
+      || (await getUserRole(project, claims.uid)) === 'admin';
+
+    return {
+      type: 'user',
+      uid: claims.uid,
+      email: claims.email,
+      project,
+      scopes: isAdmin ? SCOPES : [],
+      expiresAt: claims.exp ? claims.exp * 1000 : null
+    };
+  };
+
+  return authenticate;
+};
+
+// Authenticates /api requests, read-only routes need the 'read' scope and everything else 'write'
+const createAuthMiddleware = (syncService) => {
+  const authenticate = createAuthenticator(syncService);
+
+  if (!apiAuthEnabled) {
+    logger.warn('⚠️ API authentication is disabled (API_AUTH_ENABLED=false)');
+  }
+
+  return async (req, res, next) => {
+    if (!apiAuthEnabled || PUBLIC_PATHS.includes(req.path) || req.method === 'OPTIONS') {
+      return next();
+    }
+
+    const credential = getCredential(req);
+    if (!credential) {
+      return res.status(401).json({ success: false, error: 'Authentication required' });
+    }
+
+    let principal;
+    try {
+      principal = await authenticate(credential);
+    } catch (error) {
+      logger.warn(`🔒 Rejected API credential for ${req.method} ${req.originalUrl}: ${error.code || error.message}`);
+      return res.status(401).json({
+        success: false,
+        error: error.code === 'ID_TOKENS_UNSUPPORTED' ? error.message : 'Invalid or expired credentials'
+      });
+    }
+
+    const scope = requiredScope(req);
+    if (!principal.scopes.includes(scope)) {
+      logger.warn(`🔒 ${principal.type} ${principal.uid || principal.name} lacks '${scope}' for ${req.method} ${req.originalUrl}`);
+      return res.status(403).json({ success: false, error: `Requires admin role or '${scope}' scope` });
+    }
+
+    req.auth = principal;
+    next();
+  };
+};
+
+module.exports = {
+  createAuthenticator,
+  createAuthMiddleware,
+  getCredential,
+  SCOPES
+};
@@ -8,8 +8,25 @@ const path = require('path');
 const fs = require('fs');
 
 const { logger } = require('./utils/logger');
-const { testConnections } = require('./config/firebase');
+const { testConnections } = require('./adapters');
 const EnhancedSyncService = require('./services/enhancedSyncService');
+const SnapshotService = require('./services/snapshotService');
+const JobManager = require('./services/jobManager');
+const HistoryStore = require('./services/historyStore');
+const AlertService = require('./services/alertService');
+const FailoverOrchestrator = require('./services/failoverOrchestrator');
+const metrics = require('./utils/metrics');
+const { createAuthenticator, createAuthMiddleware, getCredential } = require('./middleware/auth');
+const { TopicPublisher, PUBLIC_ROOM, topicRoom, isValidTopic, TOPICS, coarseHealth } = require('./services/topicPublisher');
+const {
+  snapshotsEnabled,
+  snapshotSchedule,
+  SOFT_DELETE_FIELD,
+  integrityAutoRepair,
+  apiAuthEnabled,
+  authSyncIntervalMinutes,
+  discoveryIntervalMinutes
+} = require('./config/syncConfig');
 
 const app = express();
 const server = http.createServer(app);
@@ -56,8 +73,47 @@ if (!fs.existsSync('logs')) {
   fs.mkdirSync('logs');
 }
 
+// Services publish through topic rooms instead of broadcasting to every socket
+const publisher = new TopicPublisher(io);
+
 // Initialize enhanced sync service ONLY ONCE
-const syncService = new EnhancedSyncService(io);
+const syncService = new EnhancedSyncService(publisher);
+const snapshotService = new SnapshotService(syncService);
+const history = new HistoryStore();
+const jobManager = new JobManager(syncService, publisher, history);
+const alertService = new AlertService(publisher);
+
+// Long-running operations, run as background jobs
+const JOB_RUNNERS = {
+  sync: () => syncService.performFullSync(),
+  'full-sync': () => syncService.forceFullSync(),
+  recovery: () => syncService.performRecovery()
+};
+
+// Snapshots hold the job lock too, so no sync or recovery runs against a dataset being read or restored
+const SNAPSHOT_RUNNERS = {
+  snapshot: options => async () => ({ status: 'completed', snapshot: await snapshotService.createSnapshot(options) }),
+  'snapshot-restore': (id, options) => async () => ({ status: 'completed', restore: await snapshotService.restoreSnapshot(id, options) })
+};
+
+// Debounced failover to backup and automatic recovery once main is back
+const failover = new FailoverOrchestrator(syncService, publisher, jobManager, JOB_RUNNERS);
+
+// Every /api route needs an admin ID token or a scoped API key, except the public ones
+const authMiddleware = createAuthMiddleware(syncService);
+app.use('/api', authMiddleware);
+
+// Prometheus scrape endpoint, needs a key with the read scope like the GET API routes
+app.get('/metrics', authMiddleware, async (req, res) => {
+  try {
+    metrics.socketClients.set(io.engine.clientsCount);
+    res.set('Content-Type', metrics.register.contentType);
+    res.send(await metrics.register.metrics());
+  } catch (error) {
+    logger.error('❌ Failed to render metrics:', error);
+    res.status(500).send(error.message);
+  }
+});
 
 // Root route for backend health check
 app.get('/', (req, res) => {
@@ -72,13 +128,33 @@ app.get('/', (req, res) => {
 syncService.init();
 
 // Enhanced API Routes
+// healthy and degraded (one project fully up) answer 200, unhealthy (neither usable) 503
 app.get('/api/health', async (req, res) => {
   const healthStatus = await syncService.checkDatabaseHealth();
-  res.json({
-    status: 'healthy',
+  const health = syncService.healthMonitor.toJSON({ includeHistory: false });
+  res.status(health.ready ? 200 : 503).json({
+    status: health.overall,
+    ready: health.ready,
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
-    services: healthStatus
+    services: healthStatus,
+    targets: health.targets
+  });
+});
+
+// Liveness: the process is up and serving requests, no probes involved
+app.get('/api/health/live', (req, res) => {
+  res.json({ status: 'alive', uptime: process.uptime(), timestamp: new Date().toISOString() });
+});
+
+// Readiness: at least one of main and backup is usable
+app.get('/api/health/ready', async (req, res) => {
+  await syncService.checkDatabaseHealth();
+  const health = syncService.healthMonitor.toJSON({ includeHistory: false });
+  res.status(health.ready ? 200 : 503).json({
+    status: health.ready ? 'ready' : 'not-ready',
+    overall: health.overall,
+    timestamp: new Date().toISOString()
   });
 });
 
@@ -86,50 +162,79 @@ app.get('/api/stats', (req, res) => {
   res.json(syncService.getStats());
 });
 
-app.post('/api/sync', async (req, res) => {
+// Start a job and answer right away with its ID, or 409 while another operation runs
+const startJobHandler = (type, message) => (req, res) => {
   try {
-    await syncService.performFullSync();
-    res.json({ success: true, message: 'Enhanced sync initiated (Firestore + Auth)' });
-  } catch (error) {
-    logger.error('❌ Manual sync failed:', error);
-    res.status(500).json({ success: false, error: error.message });
-  }
-});
+    const running = jobManager.getActiveJob();
+    if (running) {
+      return res.status(409).json({ success: false, error: `A ${running.type} job is already running`, jobId: running.id });
+    }
+    // Snapshot restores and other operations outside the job queue also hold the sync lock
+    if (syncService.isSyncing) {
+      return res.status(409).json({ success: false, error: 'Another sync operation is in progress' });
+    }
 
-app.post('/api/sync/full', async (req, res) => {
-  try {
-    await syncService.forceFullSync();
-    res.json({ success: true, message: 'Full sync initiated (Firestore + Auth)' });
+    const job = jobManager.start(type, JOB_RUNNERS[type], { trigger: 'api' });
+    res.status(202).json({ success: true, message, jobId: job.id, job: jobManager.toJSON(job) });
   } catch (error) {
-    logger.error('❌ Manual full sync failed:', error);
+    logger.error(`❌ Failed to start ${type} job:`, error);
     res.status(500).json({ success: false, error: error.message });
   }
-});
+};
 
+app.post('/api/sync', startJobHandler('sync', 'Enhanced sync started (Firestore)'));
+app.post('/api/sync/full', startJobHandler('full-sync', 'Full sync started (Firestore, auth users re-imported on the next auth sync)'));
+
+// Full auth sync by default, { "mode": "incremental" } imports only new or changed users
 app.post('/api/sync/auth', async (req, res) => {
+  const incremental = (req.body || {}).mode === 'incremental';
   try {
-    const authStats = await syncService.forceFullAuthSync();
-    res.json({ success: true, message: 'Auth sync completed', stats: authStats });
+    const authStats = await history.track('auth-sync', 'api',
+      () => (incremental ? syncService.performIncrementalAuthSync() : syncService.forceFullAuthSync()),
+      HistoryStore.describeAuthSync);
+    res.json({ success: true, message: `${incremental ? 'Incremental' : 'Full'} auth sync completed`, stats: authStats });
   } catch (error) {
+    if (error.code === 'AUTH_SYNC_RUNNING') {
+      return res.status(409).json({ success: false, error: error.message });
+    }
     logger.error('❌ Auth sync failed:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.post('/api/recover', async (req, res) => {
-  try {
-    await syncService.performRecovery();
-    res.json({ success: true, message: 'Enhanced recovery initiated (Firestore + Auth)' });
-  } catch (error) {
-    logger.error('❌ Manual recovery failed:', error);
-    res.status(500).json({ success: false, error: error.message });
+app.post('/api/recover', startJobHandler('recovery', 'Enhanced recovery started (Firestore + Auth)'));
+
+// Job status and cancellation
+app.get('/api/jobs', (req, res) => {
+  res.json({ active: jobManager.getActiveJob() ? jobManager.getActiveJob().id : null, jobs: jobManager.listJobs() });
+});
+
+app.get('/api/jobs/:id', (req, res) => {
+  const job = jobManager.getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: `Job ${req.params.id} not found` });
+  }
+  res.json(jobManager.toJSON(job));
+});
+
+app.delete('/api/jobs/:id', (req, res) => {
+  const job = jobManager.getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: `Job ${req.params.id} not found` });
   }
+  if (['completed', 'failed', 'cancelled'].includes(job.status)) {
+    return res.status(409).json({ success: false, error: `Job ${job.id} already ${job.status}` });
+  }
+
+  jobManager.cancel(job.id);
+  res.status(202).json({ success: true, message: 'Cancellation requested', job: jobManager.toJSON(job) });
 });
 
 app.get('/api/collections', async (req, res) => {
   try {
-    const collections = await syncService.discoverCollections();
-    res.json({ collections });
+    // The tree cached since the last discovery, ?refresh=true walks the databases again
+    const collections = await syncService.discoverCollections({ refresh: req.query.refresh === 'true' });
+    res.json({ collections, tree: syncService.collectionTree, discoveredAt: syncService.collectionTreeDiscoveredAt });
   } catch (error) {
     logger.error('❌ Failed to get collections:', error);
     res.status(500).json({ error: error.message });
@@ -140,7 +245,7 @@ app.get('/api/collections/:name/schema', async (req, res) => {
   try {
     const collectionName = req.params.name;
     await syncService.analyzeCollectionSchema(collectionName);
-    const schema = syncService.collectionsSchema.get(collectionName);
+    const schema = syncService.getCollectionSchema(collectionName);
     res.json({ collection: collectionName, schema });
   } catch (error) {
     logger.error('❌ Failed to get collection schema:', error);
@@ -148,9 +253,65 @@ app.get('/api/collections/:name/schema', async (req, res) => {
   }
 });
 
+// Document inspector (collection paths with slashes must be URL-encoded)
+app.get('/api/collections/:name/documents/:id', async (req, res) => {
+  try {
+    const inspection = await syncService.inspectDocument(req.params.name, req.params.id);
+    if (!inspection.main.exists && !inspection.backup.exists) {
+      return res.status(404).json({ error: `${req.params.name}/${req.params.id} exists in neither database` });
+    }
+    res.json(inspection);
+  } catch (error) {
+    logger.error('❌ Failed to inspect document:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+const pushDocumentHandler = target => async (req, res) => {
+  try {
+    const { name, id } = req.params;
+    const source = await (target === 'main' ? syncService.backupDb : syncService.mainDb).getDocument(name, id);
+    if (!source.exists) {
+      return res.status(404).json({ success: false, error: `${name}/${id} not found in ${target === 'main' ? 'backup' : 'main'}` });
+    }
+    // Same rule as recovery: a soft-deleted backup copy must not come back to life
+    if (target === 'main' && source.data[SOFT_DELETE_FIELD] === true) {
+      return res.status(409).json({ success: false, error: `${name}/${id} is soft-deleted in backup` });
+    }
+
+    await syncService.pushDocument(name, id, target);
+    res.json({ success: true, inspection: await syncService.inspectDocument(name, id) });
+  } catch (error) {
+    logger.error(`❌ Failed to push document to ${target}:`, error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+app.post('/api/collections/:name/documents/:id/push-to-backup', pushDocumentHandler('backup'));
+app.post('/api/collections/:name/documents/:id/push-to-main', pushDocumentHandler('main'));
+
+app.get('/api/reports/unparseable-timestamps', async (req, res) => {
+  try {
+    const target = req.query.target === 'backup' ? 'backup' : 'main';
+    const limit = parseInt(req.query.limit, 10) || 100;
+    const report = await syncService.findUnparseableTimestamps(target, limit);
+    res.json({ success: true, report });
+  } catch (error) {
+    logger.error('❌ Timestamp report failed:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 app.post('/api/integrity-check', async (req, res) => {
   try {
-    const report = await syncService.performDataIntegrityCheck();
+    const { repair, maxActions } = req.body || {};
+    const options = { repair: repair === true };
+    if (Number.isInteger(maxActions) && maxActions > 0) {
+      options.maxActions = maxActions;
+    }
+
+    const report = await history.track('integrity-check', 'api',
+      () => syncService.performDataIntegrityCheck(options), HistoryStore.describeIntegrityReport);
     res.json({ success: true, report });
   } catch (error) {
     logger.error('❌ Integrity check failed:', error);
@@ -160,7 +321,8 @@ app.post('/api/integrity-check', async (req, res) => {
 
 app.post('/api/auth-integrity-check', async (req, res) => {
   try {
-    const report = await syncService.verifyAuthIntegrity();
+    const report = await history.track('auth-integrity-check', 'api',
+      () => syncService.verifyAuthIntegrity(), HistoryStore.describeAuthIntegrity);
     res.json({ success: true, report });
   } catch (error) {
     logger.error('❌ Auth integrity check failed:', error);
@@ -168,17 +330,210 @@ app.post('/api/auth-integrity-check', async (req, res) => {
   }
 });
 
+// Test-import one user with its password hash to check the MAIN_AUTH_HASH_* parameters
+app.post('/api/auth-hash-check', async (req, res) => {
+  try {
+    const verification = await syncService.authSyncService.verifyPasswordHashConfig();
+    if (verification.verified) {
+      syncService.authSyncService.hashConfigVerified = true;
+    }
+    res.json({ success: verification.verified, verification });
+  } catch (error) {
+    logger.error('❌ Password hash check failed:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Alert targets, recent alerts and a delivery test
+app.get('/api/alerts', (req, res) => {
+  res.json(alertService.toJSON());
+});
+
+app.post('/api/alerts/test', async (req, res) => {
+  if (alertService.targets.length === 0) {
+    return res.status(400).json({ success: false, error: 'No alert targets configured' });
+  }
+
+  try {
+    const { results } = await alertService.sendTest();
+    res.json({ success: results.every(result => result.success), results });
+  } catch (error) {
+    logger.error('❌ Test alert failed:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Run history, newest first
+// Query: type, status, trigger, collection, since, until (ISO dates), limit (max 500), offset
+app.get('/api/history', (req, res) => {
+  const { type, status, trigger, collection, since, until } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+  for (const [name, value] of [['since', since], ['until', until]]) {
+    if (value && Number.isNaN(Date.parse(value))) {
+      return res.status(400).json({ success: false, error: `Invalid ${name} date` });
+    }
+  }
+
+  res.json(history.query({ type, status, trigger, collection, since, until, limit, offset }));
+});
+
+app.get('/api/history/:id', (req, res) => {
+  const record = history.get(req.params.id);
+  if (!record) {
+    return res.status(404).json({ success: false, error: 'History record not found' });
+  }
+  res.json({ record });
+});
+
+// Sync checkpoint endpoints (collection paths with slashes must be URL-encoded)
+app.get('/api/checkpoints', (req, res) => {
+  res.json({ checkpoints: syncService.checkpoints.toJSON() });
+});
+
+app.get('/api/checkpoints/:collection', (req, res) => {
+  const checkpoint = syncService.checkpoints.get(req.params.collection);
+  if (!checkpoint) {
+    return res.status(404).json({ error: `No checkpoint for ${req.params.collection}` });
+  }
+  res.json({ collection: req.params.collection, checkpoint });
+});
+
+app.put('/api/checkpoints/:collection', async (req, res) => {
+  try {
+    const { lastSynced, lastRecovered } = req.body || {};
+    const isWatermark = value => value === undefined || value === null || typeof value === 'string';
+    
+    if ((lastSynced === undefined && lastRecovered === undefined) || !isWatermark(lastSynced) || !isWatermark(lastRecovered)) {
+      return res.status(400).json({ success: false, error: 'Provide lastSynced and/or lastRecovered as a string or null' });
+    }
+    
+    const checkpoint = await syncService.checkpoints.set(req.params.collection, { lastSynced, lastRecovered });
+    logger.info(`📌 Checkpoint for ${req.params.collection} set manually`, checkpoint);
+    res.json({ success: true, collection: req.params.collection, checkpoint });
+  } catch (error) {
+    logger.error('❌ Failed to set checkpoint:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/checkpoints/:collection', async (req, res) => {
+  try {
+    const existed = await syncService.checkpoints.reset(req.params.collection);
+    logger.info(`📌 Checkpoint for ${req.params.collection} reset`);
+    res.json({ success: true, collection: req.params.collection, existed });
+  } catch (error) {
+    logger.error('❌ Failed to reset checkpoint:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Recovery conflict queue endpoints
+app.get('/api/conflicts', (req, res) => {
+  const { status, collection } = req.query;
+  const conflicts = syncService.conflictQueue.list({ status, collection });
+  res.json({ count: conflicts.length, conflicts });
+});
+
+app.get('/api/conflicts/:id', (req, res) => {
+  const conflict = syncService.conflictQueue.get(req.params.id);
+  if (!conflict) {
+    return res.status(404).json({ error: `Conflict ${req.params.id} not found` });
+  }
+  res.json(conflict);
+});
+
+app.post('/api/conflicts/:id/resolve', async (req, res) => {
+  try {
+    const { resolution, data } = req.body || {};
+    const conflict = syncService.conflictQueue.get(req.params.id);
+
+    if (!conflict) {
+      return res.status(404).json({ success: false, error: `Conflict ${req.params.id} not found` });
+    }
+    if (conflict.status !== 'open') {
+      return res.status(409).json({ success: false, error: `Conflict ${req.params.id} is already ${conflict.status}` });
+    }
+    if (!['main', 'backup', 'custom'].includes(resolution)) {
+      return res.status(400).json({ success: false, error: 'resolution must be one of main, backup, custom' });
+    }
+    if (resolution === 'custom' && (!data || typeof data !== 'object' || Array.isArray(data))) {
+      return res.status(400).json({ success: false, error: 'custom resolution requires a data object' });
+    }
+
+    const resolved = await syncService.resolveConflict(req.params.id, resolution, data);
+    res.json({ success: true, conflict: resolved });
+  } catch (error) {
+    logger.error('❌ Failed to resolve conflict:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Point-in-time snapshot endpoints
+app.get('/api/snapshots', (req, res) => {
+  const snapshots = snapshotService.listSnapshots();
+  res.json({ count: snapshots.length, snapshots });
+});
+
+// Snapshots and restores run as jobs, the manifest or restore result ends up in the job's result
+app.post('/api/snapshots', (req, res) => {
+  try {
+    const running = jobManager.getActiveJob();
+    if (running) {
+      return res.status(409).json({ success: false, error: `A ${running.type} job is already running`, jobId: running.id });
+    }
+    const source = (req.body || {}).source === 'backup' ? 'backup' : 'main';
+    const job = jobManager.start('snapshot', SNAPSHOT_RUNNERS.snapshot({ source, trigger: 'manual' }), { trigger: 'api' });
+    res.status(202).json({ success: true, message: `Snapshot of ${source} started`, jobId: job.id, job: jobManager.toJSON(job) });
+  } catch (error) {
+    logger.error('❌ Failed to start snapshot job:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/snapshots/:id/restore', (req, res) => {
+  try {
+    const { target, collection, prune } = req.body || {};
+    if (!['main', 'backup', 'both'].includes(target)) {
+      return res.status(400).json({ success: false, error: 'target must be one of main, backup, both' });
+    }
+
+    const snapshot = /^[\w-]+$/.test(req.params.id) ? snapshotService.getSnapshot(req.params.id) : null;
+    if (!snapshot) {
+      return res.status(404).json({ success: false, error: `Snapshot ${req.params.id} not found` });
+    }
+    if (collection && !snapshot.collections[collection]) {
+      return res.status(404).json({ success: false, error: `Snapshot ${req.params.id} has no collection ${collection}` });
+    }
+    const running = jobManager.getActiveJob();
+    if (running) {
+      return res.status(409).json({ success: false, error: `A ${running.type} job is already running`, jobId: running.id });
+    }
+    if (syncService.isSyncing) {
+      return res.status(409).json({ success: false, error: 'A sync or recovery is in progress, try again when it finishes' });
+    }
+
+    const runner = SNAPSHOT_RUNNERS['snapshot-restore'](req.params.id, { target, collection, prune: prune === true });
+    const job = jobManager.start('snapshot-restore', runner, { trigger: 'api' });
+    res.status(202).json({ success: true, message: `Restore of snapshot ${req.params.id} into ${target} started`, jobId: job.id, job: jobManager.toJSON(job) });
+  } catch (error) {
+    logger.error('❌ Failed to start snapshot restore job:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Client configuration endpoint
+// Public, so the failover state leaves out transition reasons and job details
 app.get('/api/firebase-config', async (req, res) => {
   try {
     const healthStatus = await syncService.checkDatabaseHealth();
     
-    // Return appropriate config based on health status
-    const configToUse = healthStatus.mainDb && healthStatus.mainAuth ? 'main' : 'backup';
-    
+    // Clients follow the failover state rather than a single health check, so blips do not flip them
     res.json({
-      currentConfig: configToUse,
+      currentConfig: failover.activeProject(),
       healthStatus,
+      failover: failover.toPublicJSON(),
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -187,6 +542,17 @@ app.get('/api/firebase-config', async (req, res) => {
   }
 });
 
+// Full failover state: transition reasons, recovery job and failback settings ('read' scope)
+app.get('/api/failover', async (req, res) => {
+  try {
+    const healthStatus = await syncService.checkDatabaseHealth();
+    res.json({ success: true, currentConfig: failover.activeProject(), healthStatus, failover: failover.toJSON() });
+  } catch (error) {
+    logger.error('❌ Failed to get failover state:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Debug endpoints
 app.get('/api/debug/main-count', async (req, res) => {
   try {
@@ -194,8 +560,7 @@ app.get('/api/debug/main-count', async (req, res) => {
     const collections = ['users', 'appointments', 'availability', 'chats', 'notifications', 'specialities'];
     
     for (const collection of collections) {
-      const snapshot = await syncService.mainDb.collection(collection).get();
-      counts[collection] = snapshot.size;
+      counts[collection] = await syncService.mainDb.count(collection);
     }
     
     logger.info('📊 Main DB counts:', counts);
@@ -212,8 +577,7 @@ app.get('/api/debug/backup-count', async (req, res) => {
     const collections = ['users', 'appointments', 'availability', 'chats', 'notifications', 'specialities'];
     
     for (const collection of collections) {
-      const snapshot = await syncService.backupDb.collection(collection).get();
-      counts[collection] = snapshot.size;
+      counts[collection] = await syncService.backupDb.count(collection);
     }
     
     logger.info('📊 Backup DB counts:', counts);
@@ -232,7 +596,7 @@ app.get('/api/debug/test-write', async (req, res) => {
       timestamp: new Date().toISOString()
     };
     
-    await syncService.backupDb.collection('test').doc('sync-test').set(testDoc);
+    await syncService.backupDb.setDocument('test', 'sync-test', testDoc);
     logger.info('✅ Test write to backup DB successful');
     res.json({ success: true, message: 'Test write successful - check backup DB for "test" collection' });
   } catch (error) {
@@ -243,8 +607,9 @@ app.get('/api/debug/test-write', async (req, res) => {
 
 app.get('/api/health-check', async (req, res) => {
   try {
-    const healthStatus = await syncService.checkDatabaseHealth();
-    res.json({ success: true, health: healthStatus });
+    // Manual checks skip the cache, open circuits still wait out their cooldown
+    const healthStatus = await syncService.checkDatabaseHealth({ force: true });
+    res.json({ success: true, health: healthStatus, details: syncService.healthMonitor.toJSON() });
   } catch (error) {
     logger.error('❌ Health check API failed:', error);
     res.status(500).json({ success: false, error: error.message });
@@ -261,13 +626,18 @@ app.post('/api/reset-stats', (req, res) => {
       status: 'idle',
       duplicatesSkipped: 0,
       incrementalSyncs: 0,
+      deletionsPropagated: 0,
+      conflictsQueued: 0,
+      collectionStats: {},
       lastFullSync: null,
       authSync: {
         totalUsers: 0,
         syncedUsers: 0,
         errors: 0,
         lastSync: null,
-        customClaims: 0
+        customClaims: 0,
+        deletedUsers: 0,
+        disabledUsers: 0
       }
     };
     syncService.saveStats();
@@ -278,29 +648,134 @@ app.post('/api/reset-stats', (req, res) => {
   }
 });
 
+// Socket.IO handshake: clients pass an admin ID token or API key as auth.token
+// (or the same headers as the REST API). Anyone else may connect but only gets coarse health.
+const authenticateSocket = createAuthenticator(syncService);
+
+io.use(async (socket, next) => {
+  socket.data.authorized = !apiAuthEnabled;
+
+  const credential = (socket.handshake.auth && socket.handshake.auth.token)
+    || getCredential({ get: name => socket.handshake.headers[name.toLowerCase()] });
+
+  if (apiAuthEnabled && credential) {
+    try {
+      const principal = await authenticateSocket(credential);
+      socket.data.principal = principal;
+      socket.data.credential = credential;
+      socket.data.authorized = principal.scopes.includes('read');
+    } catch (error) {
+      logger.warn(`🔒 Socket ${socket.id} presented invalid credentials: ${error.code || error.message}`);
+    }
+  }
+  next();
+});
+
+// Drops an authorized socket whose credential no longer holds, the client has to reconnect with a fresh token
+const revokeSocket = (socket, reason) => {
+  const { principal } = socket.data;
+  logger.warn(`🔒 Disconnecting socket ${socket.id} (${principal ? principal.uid || principal.name : 'unknown'}): ${reason}`);
+  socket.data.authorized = false;
+  socket.emit('authRevoked', { reason, timestamp: new Date().toISOString() });
+  socket.disconnect(true);
+};
+
+// Re-checks the handshake credential: token expiry, and the admin role through the role cache
+const reauthorizeSocket = async (socket) => {
+  if (!apiAuthEnabled) {
+    return true;
+  }
+  if (!socket.data.authorized) {
+    return false;
+  }
+  try {
+    const principal = await authenticateSocket(socket.data.credential);
+    if (principal.expiresAt && principal.expiresAt <= Date.now()) {
+      revokeSocket(socket, 'token expired');
+      return false;
+    }
+    if (!principal.scopes.includes('read')) {
+      revokeSocket(socket, 'admin role revoked');
+      return false;
+    }
+    socket.data.principal = principal;
+    return true;
+  } catch (error) {
+    revokeSocket(socket, `credentials rejected (${error.code || error.message})`);
+    return false;
+  }
+};
+
 // Enhanced Socket.IO connection handling with stability monitoring
 io.on('connection', async (socket) => {
-  logger.info('👤 Client connected:', socket.id);
+  logger.info('👤 Client connected:', socket.id, socket.data.authorized ? '(authorized)' : '(public)');
   
   try {
-    // Send initial stats and health status immediately
-    socket.emit('syncStats', syncService.getStats());
+    socket.join(PUBLIC_ROOM);
+    
+    const sendHealth = async () => {
+      const healthStatus = await syncService.checkDatabaseHealth();
+      if (socket.data.authorized) {
+        socket.emit('healthCheck', healthStatus);
+      } else {
+        socket.emit('healthStatus', coarseHealth(healthStatus));
+      }
+    };
+    
+    // Authorized clients choose topics with auth.topics, defaulting to all of them
+    const joinTopics = (topics) => {
+      const valid = (Array.isArray(topics) ? topics : [topics]).filter(isValidTopic);
+      valid.forEach(topic => socket.join(topicRoom(topic)));
+      return valid;
+    };
+    
+    if (socket.data.authorized) {
+      const requested = socket.handshake.auth && socket.handshake.auth.topics;
+      joinTopics(requested || TOPICS);
+      
+      // Send initial stats immediately
+      socket.emit('syncStats', syncService.getStats());
+      socket.emit('failoverState', failover.toJSON());
+
+      // ID tokens are short-lived, stop streaming once the one from the handshake expires
+      const { expiresAt } = socket.data.principal || {};
+      if (apiAuthEnabled && expiresAt) {
+        socket.data.expiryTimer = setTimeout(() => revokeSocket(socket, 'token expired'), Math.max(expiresAt - Date.now(), 0));
+      }
+    }
     
     // Send current health status immediately
-    const healthStatus = await syncService.checkDatabaseHealth();
-    socket.emit('healthCheck', healthStatus);
+    await sendHealth();
     
     // Send connection confirmation
     socket.emit('connectionConfirmed', { 
       socketId: socket.id,
+      authorized: socket.data.authorized,
       timestamp: new Date().toISOString()
     });
     
+    socket.on('subscribe', async (topics, ack) => {
+      if (!(await reauthorizeSocket(socket))) {
+        return typeof ack === 'function' && ack({ success: false, error: 'Not authorized' });
+      }
+      const subscribed = joinTopics(topics);
+      if (typeof ack === 'function') {
+        ack({ success: true, subscribed });
+      }
+    });
+    
+    socket.on('unsubscribe', (topics, ack) => {
+      const valid = (Array.isArray(topics) ? topics : [topics]).filter(isValidTopic);
+      valid.forEach(topic => socket.leave(topicRoom(topic)));
+      if (typeof ack === 'function') {
+        ack({ success: true, unsubscribed: valid });
+      }
+    });
+    
     // Handle client requests
     socket.on('requestHealthCheck', async () => {
       try {
-        const healthStatus = await syncService.checkDatabaseHealth();
-        socket.emit('healthCheck', healthStatus);
+        await sendHealth();
       } catch (error) {
         logger.error('❌ Failed to send health check:', error);
       }
@@ -313,6 +788,7 @@ io.on('connection', async (socket) => {
     
     socket.on('disconnect', (reason) => {
       logger.info('👤 Client disconnected:', socket.id, 'Reason:', reason);
+      clearTimeout(socket.data.expiryTimer);
       
       // Don't spam logs for normal disconnections
       if (reason === 'client namespace disconnect' || reason === 'server namespace disconnect') {
@@ -335,6 +811,13 @@ io.on('connection', async (socket) => {
 setInterval(() => {
   const connectedClients = io.engine.clientsCount;
   logger.info(`📊 Connected clients: ${connectedClients}`);
+
+  // Pick up revoked admin roles for sockets that never resubscribe
+  io.sockets.sockets.forEach(socket => {
+    if (socket.data.authorized && socket.data.principal && socket.data.principal.type === 'user') {
+      reauthorizeSocket(socket).catch(error => logger.error('❌ Socket re-authorization failed:', error));
+    }
+  });
 }, 60000); // Every minute
 
 // Error handling for Socket.IO
@@ -344,8 +827,6 @@ io.on('error', (error) => {
 
 // Initialize server
 const PORT = process.env.PORT || 3001;
-const SYNC_INTERVAL = process.env.SYNC_INTERVAL_MINUTES || 1;
-const AUTH_SYNC_INTERVAL = process.env.AUTH_SYNC_INTERVAL_MINUTES || 5;
 
 async function startServer() {
   try {
@@ -353,38 +834,113 @@ async function startServer() {
     logger.info('🔌 Testing database and auth connections...');
     await testConnections();
     
+    // Restore incremental watermarks before any scheduled sync can run
+    try {
+      await syncService.loadCheckpoints();
+    } catch (error) {
+      logger.error('❌ Checkpoints unavailable, syncs will retry loading them:', error);
+    }
+    
     // Discover collections on startup
     await syncService.discoverCollections();
     
+    // Streaming replication on top of the scheduled sync
+    // (started by the failover orchestrator once recovery completes when restarting failed over)
+    if (syncService.syncMode === 'realtime' && !failover.isSyncSuspended()) {
+      await syncService.startRealtimeSync();
+    }
+    
     // 🔥 MAIN AUTO-SYNC EVERY 10 MINUTES
-    cron.schedule('*/10 * * * *', async () => {
+    cron.schedule('*/10 * * * *', () => {
       logger.info('🔄 Auto-sync triggered (every 10 minutes)');
-      io.emit('autoSyncTriggered', { 
+      if (jobManager.getActiveJob() || syncService.isSyncing) {
+        logger.warn('⚠️ Sync operation already in progress, skipping scheduled sync');
+        return;
+      }
+      if (failover.isSyncSuspended()) {
+        logger.warn(`⚠️ Failover state is ${failover.state}, skipping scheduled sync until recovery completes`);
+        return;
+      }
+      
+      const job = jobManager.start('sync', JOB_RUNNERS.sync, { trigger: 'cron' });
+      publisher.emit('autoSyncTriggered', { 
         timestamp: new Date().toISOString(),
-        interval: '10 minutes'
+        interval: '10 minutes',
+        jobId: job.id
       });
-      await syncService.performFullSync();
     });
 
-    // Keep collection discovery (useful for schema changes)
-    cron.schedule('*/5 * * * *', async () => {
+    // Incremental auth sync on its own schedule, only new or changed users are written
+    cron.schedule(`*/${authSyncIntervalMinutes} * * * *`, async () => {
+      if (failover.isSyncSuspended()) {
+        logger.warn(`⚠️ Failover state is ${failover.state}, skipping scheduled auth sync`);
+        return;
+      }
+      const activeJob = jobManager.getActiveJob();
+      if (syncService.authSyncService.isSyncing || (activeJob && ['recovery', 'snapshot-restore'].includes(activeJob.type))) {
+        logger.warn('⚠️ Auth sync, recovery or snapshot restore in progress, skipping scheduled auth sync');
+        return;
+      }
+
+      try {
+        await syncService.checkDatabaseHealth();
+        if (!syncService.isMainAuthOnline || !syncService.isBackupAuthOnline) {
+          logger.warn('⚠️ Main or backup auth is offline, skipping scheduled auth sync');
+          return;
+        }
+        await history.track('auth-sync', 'cron',
+          () => syncService.performIncrementalAuthSync(), HistoryStore.describeAuthSync);
+      } catch (error) {
+        logger.error('❌ Scheduled auth sync failed:', error);
+      }
+    });
+
+    // Refresh the collection tree the syncs reuse (new collections and schema changes)
+    cron.schedule(`*/${discoveryIntervalMinutes} * * * *`, async () => {
       logger.info('🔍 Scheduled collection discovery');
-      await syncService.discoverCollections();
+      await syncService.discoverCollections({ refresh: true });
     });
 
     // Keep integrity check (useful for monitoring)
     cron.schedule('0 * * * *', async () => {
       logger.info('🔍 Scheduled integrity checks');
-      await syncService.performDataIntegrityCheck();
-      await syncService.verifyAuthIntegrity();
+      try {
+        await history.track('integrity-check', 'cron',
+          () => syncService.performDataIntegrityCheck({ repair: integrityAutoRepair }), HistoryStore.describeIntegrityReport);
+        await history.track('auth-integrity-check', 'cron',
+          () => syncService.verifyAuthIntegrity(), HistoryStore.describeAuthIntegrity);
+      } catch (error) {
+        logger.error('❌ Scheduled integrity check failed:', error);
+      }
     });
 
+    // Point-in-time snapshots, taken from backup while main is down
+    if (snapshotsEnabled) {
+      cron.schedule(snapshotSchedule, async () => {
+        logger.info('📸 Scheduled snapshot');
+        const running = jobManager.getActiveJob();
+        if (running) {
+          logger.warn(`⚠️ A ${running.type} job is running, skipping scheduled snapshot`);
+          return;
+        }
+        try {
+          const source = syncService.isMainDbOnline ? 'main' : 'backup';
+          jobManager.start('snapshot', SNAPSHOT_RUNNERS.snapshot({ source, trigger: 'scheduled' }), { trigger: 'cron' });
+        } catch (error) {
+          logger.error('❌ Scheduled snapshot failed to start:', error);
+        }
+      });
+    }
+
     // Start server
     server.listen(PORT, () => {
       logger.info(`🚀 Firebase Sync Backend running on port ${PORT}`);
       logger.info(`🔄 Auto-sync: Every 10 minutes`);
-      logger.info(`🔍 Collection discovery: Every 5 minutes`);
-      logger.info(`🔍 Integrity checks: Every hour`);
+      logger.info(`🔐 Auth sync: Every ${authSyncIntervalMinutes} minutes (incremental)`);
+      logger.info(`📡 Sync mode: ${syncService.syncMode}`);
+      logger.info(`🔍 Collection discovery: Every ${discoveryIntervalMinutes} minutes`);
+      logger.info(`🔍 Integrity checks: Every hour${integrityAutoRepair ? ' (auto-repair)' : ''}`);
+      logger.info(`📸 Snapshots: ${snapshotsEnabled ? snapshotSchedule : 'disabled'}`);
       logger.info(`🌐 API available at: http://localhost:${PORT}`);
     });
     
@@ -395,12 +951,26 @@ async function startServer() {
 }
 
 // Handle graceful shutdown
-process.on('SIGINT', () => {
-  logger.info('⏹️ Shutting down server...');
+// Render stops services with SIGTERM, Ctrl+C sends SIGINT; both save what is only held in memory
+const shutdown = async (signal) => {
+  logger.info(`⏹️ Shutting down server (${signal})...`);
+  syncService.stopRealtimeSync();
+  syncService.syncState.flushAll();
+  try {
+    if (syncService.checkpoints.loaded) {
+      await syncService.checkpoints.persist();
+    }
+    history.save();
+  } catch (error) {
+    logger.error('❌ Failed to save sync state on shutdown:', error);
+  }
   server.close(() => {
     logger.info('✅ Server closed');
     process.exit(0);
   });
-});
+};
+
+process.once('SIGINT', () => shutdown('SIGINT'));
+process.once('SIGTERM', () => shutdown('SIGTERM'));
 
 startServer(); 
\ No newline at end of file
@@ -0,0 +1,295 @@
+const nodemailer = require('nodemailer');
+const {
+  alertWebhooks,
+  alertSmtp,
+  alertDedupWindowMinutes,
+  alertRateLimitPerHour,
+  alertSyncErrorThreshold
+} = require('../config/syncConfig');
+const { logger } = require('../utils/logger');
+
+const HEALTH_TARGETS = {
+  mainDb: 'Main database',
+  backupDb: 'Backup database',
+  mainAuth: 'Main auth',
+  backupAuth: 'Backup auth'
+};
+
+const SEVERITY_EMOJI = { critical: '🚨', warning: '⚠️', info: '✅' };
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+const RECENT_ALERTS = 100;
+
+// Turns publisher events into notifications: health transitions, failed or error-heavy jobs
+// and auth syncs, and integrity issues. Alerts with the same key are sent once per dedup window
+// (a flapping target alerts once), and at most ALERT_RATE_LIMIT_PER_HOUR alerts go out per hour.
+class AlertService {
+  constructor(publisher) {
+    this.io = publisher;
+    this.targets = this.buildTargets();
+    this.healthState = {}; // target -> last known up/down
+    this.lastSent = new Map(); // alert key -> epoch ms
+    this.sentTimes = [];
+    this.recent = [];
+
+    publisher.on('healthCheck', status => this.onHealthCheck(status));
+    publisher.on('jobUpdate', job => this.onJobUpdate(job));
+    publisher.on('authSyncComplete', result => this.onAuthSyncComplete(result));
+    publisher.on('authSyncFailed', failure => this.onAuthSyncFailed(failure));
+    publisher.on('integrityReport', report => this.onIntegrityReport(report));
+    publisher.on('authIntegrityReport', report => this.onAuthIntegrityReport(report));
+
+    if (this.targets.length === 0) {
+      logger.info('🔕 No alert targets configured');
+    } else {
+      logger.info(`🔔 Alerting to ${this.targets.map(target => target.name).join(', ')}`);
+    }
+  }
+
+  buildTargets() {
+    const targets = alertWebhooks
+      .filter(webhook => webhook && webhook.url)
+      .map((webhook, index) => ({
+        name: webhook.name || `webhook-${index + 1}`,
+        type: webhook.type === 'slack' ? 'slack' : 'http',
+        url: webhook.url,
+        headers: webhook.headers || {}
+      }));
+
+    if (alertSmtp.host && alertSmtp.to) {
+      targets.push({
+        name: 'email',
+        type: 'smtp',
+        transport: nodemailer.createTransport({
+          host: alertSmtp.host,
+          port: alertSmtp.port,
+          secure: alertSmtp.secure,
+          auth: alertSmtp.user ? { user: alertSmtp.user, pass: alertSmtp.pass } : undefined
+        })
+      });
+    }
+
+    return targets;
+  }
+
+  // Alert on up/down transitions; the first check only alerts for targets that start out down
+  onHealthCheck(status) {
+    Object.entries(HEALTH_TARGETS).forEach(([target, label]) => {
+      if (typeof status[target] !== 'boolean') {
+        return;
+      }
+
+      const previous = this.healthState[target];
+      const up = status[target];
+      this.healthState[target] = up;
+
+      if (previous === up || (previous === undefined && up)) {
+        return;
+      }
+
+      if (up) {
+        this.notify({
+          key: `health:${target}:up`,
+          severity: 'info',
+          title: `${label} recovered`,
+          message: `${label} is reachable again.`
+        });
+      } else {
+        this.notify({
+          key: `health:${target}:down`,
+          severity: 'critical',
+          title: `${label} is down`,
+          message: `${label} failed its health check.`
+        });
+      }
+    });
+  }
+
+  onJobUpdate(job) {
+    if (!['completed', 'failed'].includes(job.status)) {
+      return;
+    }
+
+    const errorCount = job.errors.length;
+    if (job.status === 'failed') {
+      this.notify({
+        key: `job:${job.type}:failed`,
+        severity: 'critical',
+        title: `${job.type} job failed`,
+        message: errorCount > 0 ? job.errors[errorCount - 1].message : 'The job failed without an error message.',
+        details: { jobId: job.id, trigger: job.trigger, errors: job.errors.slice(-5) }
+      });
+    } else if (errorCount >= alertSyncErrorThreshold) {
+      this.notify({
+        key: `job:${job.type}:errors`,
+        severity: 'warning',
+        title: `${job.type} job finished with ${errorCount} errors`,
+        message: job.errors.slice(-5).map(error => `${error.collection || 'run'}: ${error.message}`).join('\n'),
+        details: { jobId: job.id, trigger: job.trigger }
+      });
+    }
+  }
+
+  // Auth sync runs outside the job manager (cron and /api/sync/auth), so it alerts on its own events
+  onAuthSyncFailed(failure) {
+    this.notify({
+      key: 'auth-sync:failed',
+      severity: 'critical',
+      title: `${failure.mode} auth sync failed`,
+      message: failure.error || 'The auth sync failed without an error message.'
+    });
+  }
+
+  onAuthSyncComplete(result) {
+    if (!result.failedUsers || result.failedUsers < alertSyncErrorThreshold) {
+      return;
+    }
+
+    this.notify({
+      key: 'auth-sync:errors',
+      severity: 'warning',
+      title: `${result.mode} auth sync finished with ${result.failedUsers} failed users`,
+      message: `${result.syncedUsers} users imported, ${result.failedUsers} failed and will be retried on the next run.`
+    });
+  }
+
+  onIntegrityReport(report) {
+    if (!report.totalIssues) {
+      return;
+    }
+
+    const collections = Object.entries(report.collections)
+      .filter(([, result]) => result.issues > 0)
+      .map(([collectionName, result]) => `${collectionName}: ${result.issues}`);
+
+    this.notify({
+      key: 'integrity:data',
+      severity: 'warning',
+      title: `Integrity check found ${report.totalIssues} issues`,
+      message: collections.join('\n'),
+      details: { repairActions: report.repair ? report.repair.actions : 0 }
+    });
+  }
+
+  onAuthIntegrityReport(report) {
+    if (!report.missingInBackup && !report.extraInBackup) {
+      return;
+    }
+
+    this.notify({
+      key: 'integrity:auth',
+      severity: 'warning',
+      title: 'Auth integrity check found differences',
+      message: `${report.missingInBackup} users missing from backup, ${report.extraInBackup} extra in backup.`
+    });
+  }
+
+  // Returns false when the alert was deduplicated or rate limited
+  canSend(alert) {
+    const now = Date.now();
+    const last = this.lastSent.get(alert.key);
+    if (last && now - last < alertDedupWindowMinutes * 60000) {
+      logger.debug(`🔕 Duplicate alert ${alert.key} suppressed`);
+      return false;
+    }
+
+    this.sentTimes = this.sentTimes.filter(time => now - time < 3600000);
+    if (this.sentTimes.length >= alertRateLimitPerHour) {
+      logger.warn(`🔕 Alert rate limit reached, dropping ${alert.key}`);
+      return false;
+    }
+
+    return true;
+  }
+
+  async notify(alert, { force = false } = {}) {
+    const entry = { ...alert, timestamp: new Date().toISOString() };
+
+    if (!force && !this.canSend(entry)) {
+      this.remember({ ...entry, status: 'suppressed' });
+      return { sent: false, results: [] };
+    }
+
+    this.lastSent.set(entry.key, Date.now());
+    this.sentTimes.push(Date.now());
+    logger.info(`${SEVERITY_EMOJI[entry.severity] || '🔔'} Alert: ${entry.title}`);
+
+    const results = await Promise.all(this.targets.map(async target => {
+      try {
+        await this.deliver(target, entry);
+        return { target: target.name, success: true };
+      } catch (error) {
+        logger.error(`❌ Failed to send alert to ${target.name}:`, error.message);
+        return { target: target.name, success: false, error: error.message };
+      }
+    }));
+
+    this.remember({ ...entry, status: 'sent', results });
+    return { sent: true, results };
+  }
+
+  async deliver(target, alert) {
+    if (target.type === 'smtp') {
+      await target.transport.sendMail({
+        from: alertSmtp.from,
+        to: alertSmtp.to,
+        subject: `[firebase-sync] ${alert.title}`,
+        text: this.formatText(alert)
+      });
+      return;
+    }
+
+    const body = target.type === 'slack'
+      ? { text: `${SEVERITY_EMOJI[alert.severity] || '🔔'} *${alert.title}*\n${alert.message || ''}` }
+      : alert;
+
+    const response = await fetch(target.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...target.headers },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+  }
+
+  formatText(alert) {
+    const lines = [`${alert.title} (${alert.severity})`, '', alert.message || ''];
+    if (alert.details) {
+      lines.push('', JSON.stringify(alert.details, null, 2));
+    }
+    lines.push('', alert.timestamp);
+    return lines.join('\n');
+  }
+
+  remember(entry) {
+    this.recent.push(entry);
+    if (this.recent.length > RECENT_ALERTS) {
+      this.recent.shift();
+    }
+  }
+
+  // Send a test alert to every target, bypassing dedup and rate limits
+  async sendTest() {
+    return this.notify({
+      key: 'test',
+      severity: 'info',
+      title: 'Test alert',
+      message: 'Alert delivery from the Firebase sync backend works.'
+    }, { force: true });
+  }
+
+  toJSON() {
+    return {
+      targets: this.targets.map(target => ({ name: target.name, type: target.type })),
+      dedupWindowMinutes: alertDedupWindowMinutes,
+      rateLimitPerHour: alertRateLimitPerHour,
+      syncErrorThreshold: alertSyncErrorThreshold,
+      health: { ...this.healthState },
+      recent: [...this.recent].reverse()
+    };
+  }
+}
+
+module.exports = AlertService;
@@ -1,19 +1,47 @@
-const { mainApp, backupApp } = require('../config/firebase');
+const { getAdapters } = require('../adapters');
+const path = require('path');
+const {
+  mainAuthHash,
+  backupAuthHash,
+  authDeletionPolicy,
+  authDeletionMaxPerRun,
+  authCheckpointFile
+} = require('../config/syncConfig');
+const { readJsonFile, writeJsonFileAtomic } = require('../utils/atomicFile');
+const { hashDocument } = require('../utils/documentHash');
 const { logger } = require('../utils/logger');
+const metrics = require('../utils/metrics');
+
+const USER_DECISIONS_KEPT = 200;
 
 class AuthSyncService {
   constructor(socketIo) {
     this.io = socketIo;
-    this.mainAuth = mainApp.auth();
-    this.backupAuth = backupApp.auth();
+    
+    // Identity adapters for both projects, chosen by DATASTORE_ADAPTER
+    const { main, backup } = getAdapters();
+    this.mainAuth = main.auth;
+    this.backupAuth = backup.auth;
+
     this.authSyncStats = {
       totalUsers: 0,
       syncedUsers: 0,
       errors: 0,
       lastSync: null,
-      customClaims: 0
+      customClaims: 0,
+      mode: null, // 'full' or 'incremental'
+      unchangedUsers: 0,
+      failedUsers: 0,
+      checkpoint: null,
+      deletedUsers: 0,
+      disabledUsers: 0,
+      lastReconcile: null,
+      userDecisions: [] // latest delete/disable/mirror decisions, newest last
     };
     this.userMap = new Map(); // Map main UID to backup UID
+    this.hashConfigVerified = false;
+    this.checkpointPath = path.resolve(authCheckpointFile); // Per-user fingerprints of the last synced state
+    this.isSyncing = false;
   }
 
   // Export all users from main Firebase Auth
@@ -45,59 +73,59 @@ class AuthSyncService {
     }
   }
 
+  // List every backup auth user
+  async exportUsersFromBackup() {
+    const backupUsers = [];
+    let nextPageToken;
+
+    do {
+      const listResult = await this.backupAuth.listUsers(1000, nextPageToken);
+      backupUsers.push(...listResult.users);
+      nextPageToken = listResult.pageToken;
+    } while (nextPageToken);
+
+    return backupUsers;
+  }
+
   // Import users to backup Firebase Auth
-  async importUsersToBackup(users) {
+  // failedUids, when given, collects the uids that did not import
+  async importUsersToBackup(users, { failedUids = null } = {}) {
     try {
       logger.info(`📥 Importing ${users.length} users to backup Firebase Auth...`);
       
       const batchSize = 1000; // Firebase Auth import limit
       let totalImported = 0;
       
+      // Without the main project's hash parameters the hashes are useless to backup, leave them out
+      const hashOptions = this.getPasswordHashOptions();
+      if (!hashOptions) {
+        logger.warn('⚠️ MAIN_AUTH_HASH_KEY is not set, importing users without password hashes (they will need a password reset on backup)');
+      } else {
+        await this.ensureHashConfigVerified(users);
+        const withHash = users.filter(user => this.hasUsablePasswordHash(user)).length;
+        logger.info(`🔑 ${withHash} of ${users.length} users carry a password hash`);
+      }
+      
       for (let i = 0; i < users.length; i += batchSize) {
         const batch = users.slice(i, i + batchSize);
         
         // Prepare user import data
-        const usersToImport = batch.map(user => ({
-          uid: user.uid,
-          email: user.email,
-          emailVerified: user.emailVerified,
-          displayName: user.displayName,
-          photoURL: user.photoURL,
-          phoneNumber: user.phoneNumber,
-          disabled: user.disabled,
-          metadata: {
-            lastSignInTime: user.metadata.lastSignInTime,
-            creationTime: user.metadata.creationTime
-          },
-          customClaims: user.customClaims || {},
-          providerData: user.providerData?.map(provider => ({
-            uid: provider.uid,
-            email: provider.email,
-            displayName: provider.displayName,
-            photoURL: provider.photoURL,
-            providerId: provider.providerId,
-            phoneNumber: provider.phoneNumber
-          })) || []
-        }));
+        const usersToImport = batch.map(user => this.toImportRecord(user, { includePasswordHash: !!hashOptions }));
 
         try {
-          const result = await this.backupAuth.importUsers(usersToImport, {
-            hash: {
-              algorithm: 'SCRYPT',
-              // Firebase uses SCRYPT for password hashing
-              key: Buffer.from(''), // Empty key for Firebase default
-              saltSeparator: Buffer.from(''), // Empty salt separator
-              rounds: 8,
-              memoryCost: 14
-            }
-          });
+          const result = await this.backupAuth.importUsers(usersToImport, hashOptions ? { hash: hashOptions } : {});
 
           totalImported += result.successCount;
+          metrics.authUsersTotal.inc({ outcome: 'synced' }, result.successCount);
+          metrics.authUsersTotal.inc({ outcome: 'errored' }, result.failureCount);
           
           if (result.failureCount > 0) {
             logger.warn(`⚠️ Failed to import ${result.failureCount} users in batch`);
             result.errors.forEach(error => {
-              logger.error(`❌ Import error for user ${error.index}:`, error.error);
+              logger.error(`❌ Import error for user ${batch[error.index].uid}:`, error.error);
+              if (failedUids) {
+                failedUids.add(batch[error.index].uid);
+              }
             });
           }
 
@@ -112,6 +140,10 @@ class AuthSyncService {
         } catch (error) {
           logger.error('❌ Failed to import batch:', error);
           this.authSyncStats.errors++;
+          metrics.authUsersTotal.inc({ outcome: 'errored' }, batch.length);
+          if (failedUids) {
+            batch.forEach(user => failedUids.add(user.uid));
+          }
         }
       }
 
@@ -123,116 +155,499 @@ class AuthSyncService {
     }
   }
 
-  // Sync custom claims between main and backup
-  async syncCustomClaims() {
+  // Map an exported user record to the shape importUsers expects
+  // Hashes and salts come base64-encoded from listUsers, importUsers wants Buffers
+  toImportRecord(user, { includePasswordHash = false } = {}) {
+    const record = {
+      uid: user.uid,
+      email: user.email,
+      emailVerified: user.emailVerified,
+      displayName: user.displayName,
+      photoURL: user.photoURL,
+      phoneNumber: user.phoneNumber,
+      disabled: user.disabled,
+      metadata: {
+        lastSignInTime: user.metadata.lastSignInTime,
+        creationTime: user.metadata.creationTime
+      },
+      customClaims: user.customClaims || {},
+      providerData: user.providerData?.map(provider => ({
+        uid: provider.uid,
+        email: provider.email,
+        displayName: provider.displayName,
+        photoURL: provider.photoURL,
+        providerId: provider.providerId,
+        phoneNumber: provider.phoneNumber
+      })) || []
+    };
+
+    if (includePasswordHash && this.hasUsablePasswordHash(user)) {
+      record.passwordHash = Buffer.from(user.passwordHash, 'base64');
+      if (user.passwordSalt) {
+        record.passwordSalt = Buffer.from(user.passwordSalt, 'base64');
+      }
+    }
+
+    return record;
+  }
+
+  // listUsers returns "REDACTED" instead of the hash when the service account may not read hashes
+  hasUsablePasswordHash(user) {
+    return !!user.passwordHash && Buffer.from(user.passwordHash, 'base64').toString() !== 'REDACTED';
+  }
+
+  // A project's SCRYPT parameters (main's by default), or null when its hash key is not configured
+  getPasswordHashOptions(hashConfig = mainAuthHash) {
+    if (!hashConfig.key) {
+      return null;
+    }
+
+    return {
+      algorithm: 'SCRYPT',
+      key: Buffer.from(hashConfig.key, 'base64'),
+      saltSeparator: Buffer.from(hashConfig.saltSeparator, 'base64'),
+      rounds: hashConfig.rounds,
+      memoryCost: hashConfig.memoryCost
+    };
+  }
+
+  // Import a single user with a password hash first and confirm backup accepts the hash parameters,
+  // so a wrong key fails one canary import instead of every batch of a run
+  // Returns { verified, canaryUid, hashStored, reason }
+  async verifyPasswordHashConfig(users = null) {
+    const hashOptions = this.getPasswordHashOptions();
+    if (!hashOptions) {
+      return { verified: false, canaryUid: null, reason: 'MAIN_AUTH_HASH_KEY is not configured' };
+    }
+
+    const candidates = users || await this.exportUsersFromMain();
+    const canary = candidates.find(user => this.hasUsablePasswordHash(user));
+    if (!canary) {
+      return { verified: false, canaryUid: null, reason: 'No main user with a readable password hash' };
+    }
+
     try {
-      logger.info('🔐 Syncing custom claims...');
-      
-      // Get all users from main auth
-      const mainUsers = await this.exportUsersFromMain();
-      let claimsSynced = 0;
+      const result = await this.backupAuth.importUsers(
+        [this.toImportRecord(canary, { includePasswordHash: true })],
+        { hash: hashOptions }
+      );
+      if (result.failureCount > 0) {
+        const reason = result.errors[0].error.message || String(result.errors[0].error);
+        return { verified: false, canaryUid: canary.uid, reason };
+      }
+
+      const imported = await this.backupAuth.getUser(canary.uid);
+      const hashStored = this.hasUsablePasswordHash(imported);
+      logger.info(`🔑 Password hash config accepted by backup (canary ${canary.uid}${hashStored ? '' : ', stored hash not readable'})`);
+      return { verified: true, canaryUid: canary.uid, hashStored, reason: null };
+    } catch (error) {
+      return { verified: false, canaryUid: canary.uid, reason: error.message };
+    }
+  }
+
+  // Verify the hash parameters once per process before the first import that carries hashes
+  async ensureHashConfigVerified(users) {
+    if (this.hashConfigVerified) {
+      return;
+    }
+
+    const verification = await this.verifyPasswordHashConfig(users);
+    this.authSyncStats.hashVerification = { ...verification, timestamp: new Date().toISOString() };
+    if (verification.verified) {
+      this.hashConfigVerified = true;
+      return;
+    }
 
-      for (const user of mainUsers) {
-        if (user.customClaims && Object.keys(user.customClaims).length > 0) {
+    // Nothing to test with yet (no readable hashes), try again on the next run
+    if (!verification.canaryUid) {
+      logger.warn(`⚠️ Password hash config not verified: ${verification.reason}`);
+      return;
+    }
+
+    const error = new Error(`Backup rejected the password hash config: ${verification.reason}`);
+    error.code = 'HASH_CONFIG_REJECTED';
+    throw error;
+  }
+
+  // Set custom claims on backup for users whose claims alone changed (imports already carry claims)
+  async syncCustomClaims(users, { failedUids = null } = {}) {
+    let claimsSynced = 0;
+
+    for (const user of users) {
+      try {
+        await this.backupAuth.setCustomUserClaims(user.uid, user.customClaims || null);
+        claimsSynced++;
+      } catch (error) {
+        logger.error(`❌ Failed to sync claims for user ${user.uid}:`, error);
+        this.authSyncStats.errors++;
+        if (failedUids) {
+          failedUids.add(user.uid);
+        }
+      }
+    }
+
+    if (users.length > 0) {
+      logger.info(`✅ Synced custom claims for ${claimsSynced} users`);
+    }
+    return claimsSynced;
+  }
+
+  // Bring backup users in line with main after an import:
+  // - users only in backup are deleted, disabled or kept per AUTH_DELETION_POLICY, at most
+  //   AUTH_DELETION_MAX_PER_RUN per run
+  // - users whose disabled flag differs from main get main's value
+  // Deletions are skipped while recovery is pending (backup-only users may be failover sign-ups)
+  // and when main returns no users at all, which looks like an outage rather than deletions.
+  async reconcileBackupUsers(mainUsers, { propagateDeletions = true } = {}) {
+    const summary = {
+      policy: authDeletionPolicy,
+      maxPerRun: authDeletionMaxPerRun,
+      extraInBackup: 0,
+      deleted: 0,
+      disabled: 0,
+      deferred: 0,
+      kept: 0,
+      disabledMirrored: 0,
+      failed: 0,
+      skippedReason: null,
+      timestamp: new Date().toISOString()
+    };
+    const decisions = [];
+    const decide = (uid, action, reason) => decisions.push({ uid, action, reason, at: new Date().toISOString() });
+
+    const backupUsers = await this.exportUsersFromBackup();
+    const mainByUid = new Map(mainUsers.map(user => [user.uid, user]));
+
+    // Mirror disabled state for users present on both sides
+    for (const backupUser of backupUsers) {
+      const mainUser = mainByUid.get(backupUser.uid);
+      if (!mainUser || !!mainUser.disabled === !!backupUser.disabled) {
+        continue;
+      }
+      try {
+        await this.backupAuth.updateUser(backupUser.uid, { disabled: !!mainUser.disabled });
+        summary.disabledMirrored++;
+        decide(backupUser.uid, mainUser.disabled ? 'mirrored-disabled' : 'mirrored-enabled', 'disabled flag differs from main');
+      } catch (error) {
+        logger.error(`❌ Failed to mirror disabled state for ${backupUser.uid}:`, error);
+        summary.failed++;
+        decide(backupUser.uid, 'failed', error.message);
+      }
+    }
+
+    const extraUsers = backupUsers.filter(user => !mainByUid.has(user.uid));
+    summary.extraInBackup = extraUsers.length;
+
+    if (extraUsers.length > 0) {
+      if (!propagateDeletions) {
+        summary.skippedReason = 'recovery-pending';
+      } else if (mainUsers.length === 0) {
+        summary.skippedReason = 'main-empty';
+      } else if (authDeletionPolicy === 'keep') {
+        summary.kept = extraUsers.length;
+      }
+    }
+
+    if (summary.skippedReason) {
+      logger.info(`⏸️ Skipping auth deletion propagation for ${extraUsers.length} backup-only users (${summary.skippedReason})`);
+    } else if (authDeletionPolicy !== 'keep') {
+      // Already disabled accounts need nothing more under the disable policy
+      const pending = authDeletionPolicy === 'disable' ? extraUsers.filter(user => !user.disabled) : extraUsers;
+      const toProcess = pending.slice(0, authDeletionMaxPerRun);
+      pending.slice(authDeletionMaxPerRun).forEach(user => {
+        summary.deferred++;
+        decide(user.uid, 'deferred', `over the per-run cap of ${authDeletionMaxPerRun}`);
+      });
+
+      if (authDeletionPolicy === 'delete' && toProcess.length > 0) {
+        const uids = toProcess.map(user => user.uid);
+        const result = await this.backupAuth.deleteUsers(uids);
+        const failedIndexes = new Set(result.errors.map(error => error.index));
+        uids.forEach((uid, index) => {
+          if (failedIndexes.has(index)) {
+            summary.failed++;
+            decide(uid, 'failed', result.errors.find(error => error.index === index).error.message);
+          } else {
+            summary.deleted++;
+            decide(uid, 'deleted', 'not in main');
+          }
+        });
+      } else {
+        for (const user of toProcess) {
           try {
-            await this.backupAuth.setCustomUserClaims(user.uid, user.customClaims);
-            claimsSynced++;
+            await this.backupAuth.updateUser(user.uid, { disabled: true });
+            summary.disabled++;
+            decide(user.uid, 'disabled', 'not in main');
           } catch (error) {
-            logger.error(`❌ Failed to sync claims for user ${user.uid}:`, error);
+            logger.error(`❌ Failed to disable backup user ${user.uid}:`, error);
+            summary.failed++;
+            decide(user.uid, 'failed', error.message);
           }
         }
       }
+    }
 
-      logger.info(`✅ Synced custom claims for ${claimsSynced} users`);
-      return claimsSynced;
+    if (summary.deleted || summary.disabled || summary.deferred || summary.disabledMirrored) {
+      logger.info(`🧹 Backup users: ${summary.deleted} deleted, ${summary.disabled} disabled, ${summary.deferred} deferred, ${summary.disabledMirrored} disabled flags mirrored`);
+    }
+
+    this.authSyncStats.deletedUsers = (this.authSyncStats.deletedUsers || 0) + summary.deleted;
+    this.authSyncStats.disabledUsers = (this.authSyncStats.disabledUsers || 0) + summary.disabled;
+    this.authSyncStats.errors += summary.failed;
+    this.authSyncStats.lastReconcile = summary;
+    this.authSyncStats.userDecisions = [...(this.authSyncStats.userDecisions || []), ...decisions].slice(-USER_DECISIONS_KEPT);
+
+    return summary;
+  }
+
+  // Fingerprints of what an import would write: the profile (without sign-in times, which change
+  // on every sign-in) and the custom claims, hashed separately so a claims-only change skips the import
+  fingerprintUser(user, { includePasswordHash = false } = {}) {
+    const { customClaims, metadata, ...profile } = this.toImportRecord(user, { includePasswordHash });
+    return {
+      profile: hashDocument(profile),
+      claims: hashDocument(customClaims)
+    };
+  }
+
+  // { users: { uid: { profile, claims } }, lastRun, lastFullRun }; an unreadable file means a full comparison
+  loadCheckpoint() {
+    const empty = { users: {}, lastRun: null, lastFullRun: null };
+    try {
+      return { ...empty, ...readJsonFile(this.checkpointPath, empty) };
     } catch (error) {
-      logger.error('❌ Failed to sync custom claims:', error);
-      throw error;
+      logger.warn(`⚠️ Auth sync checkpoint unreadable, comparing every user: ${error.message}`);
+      return empty;
     }
   }
 
-  // Full authentication sync
-  async performFullAuthSync() {
+  saveCheckpoint(checkpoint) {
+    writeJsonFileAtomic(this.checkpointPath, checkpoint);
+    this.authSyncStats.checkpoint = {
+      users: Object.keys(checkpoint.users).length,
+      lastRun: checkpoint.lastRun,
+      lastFullRun: checkpoint.lastFullRun
+    };
+  }
+
+  // Forget every fingerprint so the next run re-imports all users
+  clearCheckpoint() {
+    const checkpoint = this.loadCheckpoint();
+    this.saveCheckpoint({ users: {}, lastRun: checkpoint.lastRun, lastFullRun: checkpoint.lastFullRun });
+    logger.info('🧹 Auth sync checkpoint cleared');
+  }
+
+  // Full authentication sync: every user is imported regardless of the checkpoint
+  // propagateDeletions: false while backup may hold users created during a failover
+  async performFullAuthSync({ propagateDeletions = true } = {}) {
+    return this.runAuthSync('full', { propagateDeletions });
+  }
+
+  // Incremental authentication sync: only users whose fingerprints differ from the checkpoint
+  async performIncrementalAuthSync({ propagateDeletions = true } = {}) {
+    return this.runAuthSync('incremental', { propagateDeletions });
+  }
+
+  // Compare each main user with its checkpointed fingerprints:
+  // - new users and changed profiles are imported (the import carries their claims)
+  // - users whose claims alone changed get setCustomUserClaims
+  // - unchanged users are left alone
+  // Users that fail keep their previous fingerprints so the next run retries them.
+  async runAuthSync(mode, { propagateDeletions }) {
+    if (this.isSyncing) {
+      const error = new Error('An auth sync is already running');
+      error.code = 'AUTH_SYNC_RUNNING';
+      throw error;
+    }
+
+    this.isSyncing = true;
+    const endTimer = metrics.runDuration.startTimer({ type: 'auth-sync' });
     try {
-      logger.info('🔐 Starting full authentication sync...');
-      this.authSyncStats.lastSync = new Date().toISOString();
-      
-      // Export users from main
+      logger.info(`🔐 Starting ${mode} authentication sync...`);
+      const startedAt = new Date().toISOString();
+      this.authSyncStats.lastSync = startedAt;
+
+      const checkpoint = this.loadCheckpoint();
+      const previous = mode === 'full' ? {} : checkpoint.users;
+      const includePasswordHash = !!this.getPasswordHashOptions();
+
       const users = await this.exportUsersFromMain();
-      this.authSyncStats.totalUsers = users.length;
-      
-      // Import users to backup
-      const syncedCount = await this.importUsersToBackup(users);
-      this.authSyncStats.syncedUsers = syncedCount;
-      
-      // Sync custom claims
-      const claimsSynced = await this.syncCustomClaims();
-      this.authSyncStats.customClaims = claimsSynced;
-      
-      logger.info(`🎉 Auth sync completed! ${syncedCount} users synced, ${claimsSynced} claims synced`);
-      
+      const fingerprints = new Map(users.map(user => [user.uid, this.fingerprintUser(user, { includePasswordHash })]));
+
+      const changedUsers = [];
+      const claimsChangedUsers = [];
+      users.forEach(user => {
+        const before = previous[user.uid];
+        const after = fingerprints.get(user.uid);
+        if (!before || before.profile !== after.profile) {
+          changedUsers.push(user);
+        } else if (before.claims !== after.claims) {
+          claimsChangedUsers.push(user);
+        }
+      });
+      const unchangedUsers = users.length - changedUsers.length - claimsChangedUsers.length;
+      logger.info(`📊 ${changedUsers.length} new or changed users, ${claimsChangedUsers.length} with changed claims, ${unchangedUsers} unchanged`);
+
+      const failedUids = new Set();
+      const syncedCount = changedUsers.length > 0
+        ? await this.importUsersToBackup(changedUsers, { failedUids })
+        : 0;
+      const claimsSynced = await this.syncCustomClaims(claimsChangedUsers, { failedUids });
+
+      // Deleted and disabled accounts
+      await this.reconcileBackupUsers(users, { propagateDeletions });
+
+      // Users gone from main drop out of the checkpoint
+      const nextUsers = {};
+      users.forEach(user => {
+        if (!failedUids.has(user.uid)) {
+          nextUsers[user.uid] = fingerprints.get(user.uid);
+        } else if (checkpoint.users[user.uid]) {
+          nextUsers[user.uid] = checkpoint.users[user.uid];
+        }
+      });
+      this.saveCheckpoint({
+        users: nextUsers,
+        lastRun: startedAt,
+        lastFullRun: mode === 'full' ? startedAt : checkpoint.lastFullRun
+      });
+
+      Object.assign(this.authSyncStats, {
+        mode,
+        totalUsers: users.length,
+        syncedUsers: syncedCount,
+        customClaims: claimsSynced,
+        unchangedUsers,
+        failedUsers: failedUids.size
+      });
+
+      logger.info(`🎉 Auth sync completed! ${syncedCount} users imported, ${claimsSynced} claims updated, ${unchangedUsers} unchanged`);
+
       this.io.emit('authSyncComplete', {
+        mode,
         totalUsers: this.authSyncStats.totalUsers,
         syncedUsers: this.authSyncStats.syncedUsers,
         customClaims: this.authSyncStats.customClaims,
+        unchangedUsers,
+        failedUsers: failedUids.size,
+        reconcile: this.authSyncStats.lastReconcile,
         errors: this.authSyncStats.errors,
         timestamp: new Date().toISOString()
       });
-      
+
+      endTimer({ status: 'completed' });
       return this.authSyncStats;
     } catch (error) {
-      logger.error('❌ Full auth sync failed:', error);
+      logger.error(`❌ ${mode === 'full' ? 'Full' : 'Incremental'} auth sync failed:`, error);
       this.authSyncStats.errors++;
+      this.io.emit('authSyncFailed', {
+        mode,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+      endTimer({ status: 'failed' });
       throw error;
+    } finally {
+      this.isSyncing = false;
     }
   }
 
-  // Incremental auth sync (sync only new/updated users)
-  async performIncrementalAuthSync(since) {
-    try {
-      logger.info('🔐 Starting incremental authentication sync...');
-      
-      // Get users created/modified since last sync
-      const users = await this.exportUsersFromMain();
-      const sinceDate = new Date(since);
-      
-      const newUsers = users.filter(user => {
-        const creationTime = new Date(user.metadata.creationTime);
-        const lastSignInTime = user.metadata.lastSignInTime ? 
-          new Date(user.metadata.lastSignInTime) : creationTime;
-        
-        return creationTime > sinceDate || lastSignInTime > sinceDate;
-      });
-      
-      if (newUsers.length === 0) {
-        logger.info('✅ No new users to sync');
-        return 0;
+  // Reverse auth recovery: import users that exist only in backup and were created since `since`
+  // (sign-ups that went to backup during a failover) into main, with their hashes and claims.
+  // Without `since` the last auth sync run is the cutoff. Backup-only users in the checkpoint
+  // were deleted in main and stay deleted; users whose email belongs to another main account
+  // are reported with that account's uid instead of being imported.
+  async recoverUsersToMain({ since = null } = {}) {
+    const checkpoint = this.loadCheckpoint();
+    const cutoff = since || checkpoint.lastRun;
+    const hashOptions = this.getPasswordHashOptions(backupAuthHash);
+    const report = {
+      since: cutoff,
+      backupOnly: 0,
+      candidates: 0,
+      recovered: 0,
+      emailConflicts: 0,
+      failed: 0,
+      passwordHashes: !!hashOptions,
+      skippedReason: null,
+      users: [],
+      timestamp: new Date().toISOString()
+    };
+
+    if (!cutoff) {
+      report.skippedReason = 'no-cutoff';
+      logger.warn('⚠️ No failover start or previous auth sync known, skipping auth recovery');
+      return report;
+    }
+
+    logger.info(`🔐 Recovering backup-only users created since ${cutoff}...`);
+    const mainUsers = await this.exportUsersFromMain();
+    const backupUsers = await this.exportUsersFromBackup();
+    const mainUids = new Set(mainUsers.map(user => user.uid));
+    const mainUidByEmail = new Map(mainUsers.filter(user => user.email).map(user => [user.email.toLowerCase(), user.uid]));
+
+    const backupOnly = backupUsers.filter(user => !mainUids.has(user.uid));
+    report.backupOnly = backupOnly.length;
+    const candidates = backupOnly.filter(user => !checkpoint.users[user.uid]
+      && new Date(user.metadata.creationTime).getTime() >= new Date(cutoff).getTime());
+    report.candidates = candidates.length;
+
+    const toImport = [];
+    candidates.forEach(user => {
+      const mainUid = user.email ? mainUidByEmail.get(user.email.toLowerCase()) : undefined;
+      if (mainUid) {
+        report.emailConflicts++;
+        report.users.push({ uid: user.uid, email: user.email, action: 'email-conflict', mainUid });
+      } else {
+        toImport.push(user);
       }
-      
-      logger.info(`📊 Found ${newUsers.length} users to sync incrementally`);
-      
-      // Import new users
-      const syncedCount = await this.importUsersToBackup(newUsers);
-      
-      // Sync custom claims for new users
-      let claimsSynced = 0;
-      for (const user of newUsers) {
-        if (user.customClaims && Object.keys(user.customClaims).length > 0) {
-          try {
-            await this.backupAuth.setCustomUserClaims(user.uid, user.customClaims);
-            claimsSynced++;
-          } catch (error) {
-            logger.error(`❌ Failed to sync claims for user ${user.uid}:`, error);
-          }
+    });
+
+    if (toImport.length > 0 && !hashOptions) {
+      logger.warn('⚠️ BACKUP_AUTH_HASH_KEY is not set, recovered users will need a password reset on main');
+    }
+
+    for (let i = 0; i < toImport.length; i += 1000) {
+      const batch = toImport.slice(i, i + 1000);
+      const records = batch.map(user => this.toImportRecord(user, { includePasswordHash: !!hashOptions }));
+      let failures = new Map();
+      try {
+        const result = await this.mainAuth.importUsers(records, hashOptions ? { hash: hashOptions } : {});
+        failures = new Map(result.errors.map(error => [error.index, error.error.message || String(error.error)]));
+      } catch (error) {
+        logger.error('❌ Failed to import recovered users batch into main:', error);
+        batch.forEach((user, index) => failures.set(index, error.message));
+      }
+
+      batch.forEach((user, index) => {
+        if (failures.has(index)) {
+          report.failed++;
+          report.users.push({ uid: user.uid, email: user.email, action: 'failed', reason: failures.get(index) });
+        } else {
+          report.recovered++;
+          report.users.push({ uid: user.uid, email: user.email, action: 'recovered' });
+        }
+      });
+    }
+
+    // Checkpoint main's copy so the next auth sync does not push it back over backup's record
+    const recoveredUids = report.users.filter(entry => entry.action === 'recovered').map(entry => entry.uid);
+    if (recoveredUids.length > 0) {
+      const includePasswordHash = !!this.getPasswordHashOptions();
+      const latest = this.loadCheckpoint();
+      for (const uid of recoveredUids) {
+        try {
+          latest.users[uid] = this.fingerprintUser(await this.mainAuth.getUser(uid), { includePasswordHash });
+        } catch (error) {
+          logger.warn(`⚠️ Recovered user ${uid} not readable from main yet: ${error.message}`);
         }
       }
-      
-      logger.info(`✅ Incremental auth sync completed! ${syncedCount} users synced`);
-      return syncedCount;
-    } catch (error) {
-      logger.error('❌ Incremental auth sync failed:', error);
-      throw error;
+      this.saveCheckpoint(latest);
     }
+
+    this.authSyncStats.errors += report.failed;
+    logger.info(`🔐 Auth recovery: ${report.recovered} users recovered, ${report.emailConflicts} email conflicts, ${report.failed} failed`);
+    return report;
   }
 
   // Get auth sync statistics
@@ -256,15 +671,7 @@ class AuthSyncService {
       logger.info('🔍 Verifying auth sync integrity...');
       
       const mainUsers = await this.exportUsersFromMain();
-      const backupUsers = [];
-      let nextPageToken;
-
-      // Get all backup users
-      do {
-        const listResult = await this.backupAuth.listUsers(1000, nextPageToken);
-        backupUsers.push(...listResult.users);
-        nextPageToken = listResult.pageToken;
-      } while (nextPageToken);
+      const backupUsers = await this.exportUsersFromBackup();
 
       const mainUids = new Set(mainUsers.map(u => u.uid));
       const backupUids = new Set(backupUsers.map(u => u.uid));
@@ -284,6 +691,8 @@ class AuthSyncService {
       
       logger.info(`🔍 Auth integrity check: ${missingInBackup.length} missing, ${extraInBackup.length} extra`);
       
+      metrics.authIntegrityIssues.set({ type: 'missing_in_backup' }, missingInBackup.length);
+      metrics.authIntegrityIssues.set({ type: 'extra_in_backup' }, extraInBackup.length);
       this.io.emit('authIntegrityReport', report);
       return report;
     } catch (error) {
@@ -0,0 +1,109 @@
+const path = require('path');
+const { checkpointBackend, checkpointFile, SYNC_META_COLLECTION } = require('../config/syncConfig');
+const { readJsonFile, writeJsonFileAtomic } = require('../utils/atomicFile');
+const { logger } = require('../utils/logger');
+
+const CHECKPOINT_DOC_ID = 'checkpoints';
+
+// Durable per-collection sync watermarks
+// Each checkpoint holds { lastSynced, lastRecovered, updatedAt }: the incremental
+// watermark for main -> backup and for backup -> main recovery.
+class CheckpointStore {
+  constructor(backupDb) {
+    this.backupDb = backupDb;
+    this.backend = checkpointBackend;
+    this.filePath = path.resolve(checkpointFile);
+    this.checkpoints = new Map();
+    this.loaded = false;
+  }
+
+  // Load checkpoints from the configured backend, must run before the first sync
+  async load() {
+    try {
+      let saved = {};
+      if (this.backend === 'backup') {
+        const document = await this.backupDb.getDocument(SYNC_META_COLLECTION, CHECKPOINT_DOC_ID);
+        saved = document.exists ? document.data.checkpoints || {} : {};
+      } else {
+        saved = readJsonFile(this.filePath, { checkpoints: {} }).checkpoints;
+      }
+
+      this.checkpoints = new Map(Object.entries(saved));
+      this.loaded = true;
+      logger.info(`📌 Loaded ${this.checkpoints.size} sync checkpoints from ${this.backend}`);
+    } catch (error) {
+      logger.error(`❌ Failed to load sync checkpoints from ${this.backend}:`, error);
+      throw error;
+    }
+  }
+
+  async persist() {
+    const checkpoints = this.toJSON();
+
+    if (this.backend === 'backup') {
+      await this.backupDb.setDocument(SYNC_META_COLLECTION, CHECKPOINT_DOC_ID, {
+        checkpoints,
+        updatedAt: new Date().toISOString()
+      });
+    } else {
+      writeJsonFileAtomic(this.filePath, { checkpoints });
+    }
+  }
+
+  get(collectionPath) {
+    return this.checkpoints.get(collectionPath) || null;
+  }
+
+  // Watermark for one direction: 'sync' (main -> backup) or 'recovery' (backup -> main)
+  getWatermark(collectionPath, direction = 'sync') {
+    const checkpoint = this.get(collectionPath);
+    if (!checkpoint) {
+      return null;
+    }
+    return (direction === 'recovery' ? checkpoint.lastRecovered : checkpoint.lastSynced) || null;
+  }
+
+  async setWatermark(collectionPath, direction, value) {
+    const field = direction === 'recovery' ? 'lastRecovered' : 'lastSynced';
+    await this.set(collectionPath, { [field]: value });
+  }
+
+  // Update one or both watermarks of a collection
+  async set(collectionPath, { lastSynced, lastRecovered }) {
+    const checkpoint = {
+      lastSynced: null,
+      lastRecovered: null,
+      ...this.get(collectionPath)
+    };
+
+    if (lastSynced !== undefined) {
+      checkpoint.lastSynced = lastSynced;
+    }
+    if (lastRecovered !== undefined) {
+      checkpoint.lastRecovered = lastRecovered;
+    }
+    checkpoint.updatedAt = new Date().toISOString();
+
+    this.checkpoints.set(collectionPath, checkpoint);
+    await this.persist();
+    return checkpoint;
+  }
+
+  // Forget a collection's watermarks so its next sync reads everything
+  async reset(collectionPath) {
+    const existed = this.checkpoints.delete(collectionPath);
+    await this.persist();
+    return existed;
+  }
+
+  async clear() {
+    this.checkpoints.clear();
+    await this.persist();
+  }
+
+  toJSON() {
+    return Object.fromEntries(this.checkpoints);
+  }
+}
+
+module.exports = CheckpointStore;
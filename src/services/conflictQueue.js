@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+const path = require('path');
+const { conflictQueueFile } = require('../config/syncConfig');
+const { readJsonFile, writeJsonFileAtomic } = require('../utils/atomicFile');
+const { normalizeValue } = require('../utils/documentHash');
+const { logger } = require('../utils/logger');
+
+// Persisted queue of recovery conflicts waiting for an admin decision
+class ConflictQueue {
+  constructor() {
+    this.filePath = path.resolve(conflictQueueFile);
+    this.conflicts = [];
+    this.load();
+  }
+
+  load() {
+    try {
+      this.conflicts = readJsonFile(this.filePath, { conflicts: [] }).conflicts;
+      if (this.conflicts.length > 0) {
+        logger.info(`⚔️ Loaded ${this.conflicts.length} recorded conflicts`);
+      }
+    } catch (error) {
+      logger.error('❌ Failed to load conflict queue:', error);
+    }
+  }
+
+  save() {
+    writeJsonFileAtomic(this.filePath, { conflicts: this.conflicts });
+  }
+
+  list({ status, collection } = {}) {
+    return this.conflicts.filter(conflict =>
+      (!status || conflict.status === status) && (!collection || conflict.collection === collection));
+  }
+
+  get(id) {
+    return this.conflicts.find(conflict => conflict.id === id) || null;
+  }
+
+  // Queue a conflict, refreshing the open entry for the same document instead of duplicating it
+  enqueue({ collection, documentId, policy, reason, main, backup, base, conflictingFields }) {
+    const now = new Date().toISOString();
+    let conflict = this.conflicts.find(c =>
+      c.status === 'open' && c.collection === collection && c.documentId === documentId);
+
+    if (!conflict) {
+      conflict = { id: crypto.randomUUID(), collection, documentId, status: 'open', detectedAt: now };
+      this.conflicts.push(conflict);
+    }
+
+    Object.assign(conflict, {
+      policy,
+      reason,
+      conflictingFields: conflictingFields || [],
+      main: normalizeValue(main),
+      backup: normalizeValue(backup),
+      base: base || null,
+      updatedAt: now
+    });
+
+    this.save();
+    return conflict;
+  }
+
+  markResolved(id, resolution) {
+    const conflict = this.get(id);
+    conflict.status = 'resolved';
+    conflict.resolution = resolution;
+    conflict.resolvedAt = new Date().toISOString();
+    this.save();
+    return conflict;
+  }
+}
+
+module.exports = ConflictQueue;
@@ -0,0 +1,117 @@
+const _ = require('lodash');
+const { getConflictPolicy } = require('../config/syncConfig');
+const { hashDocument, normalizeValue } = require('../utils/documentHash');
+const { getDocumentTimestamp } = require('../utils/timestamps');
+
+const normalize = value => (value === undefined ? undefined : normalizeValue(value));
+
+// Decides what recovery does with each backup document that may overwrite main
+class ConflictResolver {
+  // Returns { action: 'write' | 'skip' | 'queue' | 'delete', reason, policy, data, merge, conflictingFields }
+  resolve(collectionPath, { main, backup, state }) {
+    const backupHash = hashDocument(backup);
+
+    if (!main) {
+      // Synced before and untouched on backup since, so main deleted it on purpose
+      if (state && state.hash && backupHash === state.hash) {
+        return { action: 'delete', reason: 'deleted_in_main' };
+      }
+      return { action: 'write', reason: 'missing_in_main', data: backup, merge: true };
+    }
+
+    const mainHash = hashDocument(main);
+    if (mainHash === backupHash) {
+      return { action: 'skip', reason: 'identical' };
+    }
+
+    // With a known last-synced version only edits made on both sides are conflicts
+    if (state && state.hash) {
+      if (backupHash === state.hash) {
+        return { action: 'skip', reason: 'unchanged_in_backup' };
+      }
+      if (mainHash === state.hash) {
+        return { action: 'write', reason: 'changed_in_backup_only', data: backup, merge: true };
+      }
+    }
+
+    const policy = getConflictPolicy(collectionPath);
+    const decision = this.applyPolicy(policy, { main, backup, state });
+    return { policy, ...decision };
+  }
+
+  applyPolicy(policy, { main, backup, state }) {
+    switch (policy) {
+      case 'main-wins':
+        return { action: 'skip', reason: 'main_wins' };
+
+      case 'backup-wins':
+        return { action: 'write', reason: 'backup_wins', data: backup, merge: true };
+
+      case 'three-way-merge': {
+        if (!state || !state.base) {
+          return { action: 'queue', reason: 'no_base_version' };
+        }
+        const { merged, conflictingFields } = this.threeWayMerge(state.base, main, backup);
+        if (conflictingFields.length > 0) {
+          return { action: 'queue', reason: 'conflicting_fields', conflictingFields };
+        }
+        // The merge result is a whole document, replace both sides with it
+        return { action: 'write', reason: 'merged', data: merged, merge: false, mergedBothSides: true };
+      }
+
+      case 'last-writer-wins':
+      default: {
+        const mainTime = getDocumentTimestamp(main).millis;
+        const backupTime = getDocumentTimestamp(backup).millis;
+        if (mainTime === null || backupTime === null || mainTime === backupTime) {
+          return { action: 'queue', reason: 'timestamps_unresolvable' };
+        }
+        return backupTime > mainTime
+          ? { action: 'write', reason: 'backup_newer', data: backup, merge: true }
+          : { action: 'skip', reason: 'main_newer' };
+      }
+    }
+  }
+
+  // Field-level three-way merge; maps are merged recursively, other values are atomic.
+  // base is stored normalized, so both sides are normalized before comparing against it.
+  threeWayMerge(base, main, backup, prefix = '') {
+    const merged = {};
+    const conflictingFields = [];
+    const keys = _.union(Object.keys(base || {}), Object.keys(main || {}), Object.keys(backup || {}));
+
+    for (const key of keys) {
+      const fieldPath = prefix ? `${prefix}.${key}` : key;
+      const baseValue = base ? base[key] : undefined;
+      const mainValue = main ? main[key] : undefined;
+      const backupValue = backup ? backup[key] : undefined;
+
+      const mainChanged = !_.isEqual(normalize(mainValue), baseValue);
+      const backupChanged = !_.isEqual(normalize(backupValue), baseValue);
+      let value;
+
+      if (!backupChanged) {
+        value = mainValue;
+      } else if (!mainChanged) {
+        value = backupValue;
+      } else if (_.isEqual(normalize(mainValue), normalize(backupValue))) {
+        value = mainValue;
+      } else if (_.isPlainObject(mainValue) && _.isPlainObject(backupValue)) {
+        const nested = this.threeWayMerge(_.isPlainObject(baseValue) ? baseValue : {}, mainValue, backupValue, fieldPath);
+        value = nested.merged;
+        conflictingFields.push(...nested.conflictingFields);
+      } else {
+        conflictingFields.push(fieldPath);
+        value = mainValue;
+      }
+
+      if (value !== undefined) {
+        merged[key] = value;
+      }
+    }
+
+    return { merged, conflictingFields };
+  }
+}
+
+module.exports = ConflictResolver;
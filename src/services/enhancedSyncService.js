@@ -1,6 +1,5 @@
 const SyncService = require('./syncService');
 const AuthSyncService = require('./authSyncService');
-const { checkMainAuthHealth, checkBackupAuthHealth, checkMainDbHealth, checkBackupDbHealth } = require('../config/firebase');
 const { logger } = require('../utils/logger');
 const fs = require('fs');
 const path = require('path');
@@ -16,10 +15,6 @@ class EnhancedSyncService extends SyncService {
     this.lastAuthSync = null;
     this.statsFile = path.join(__dirname, '../../logs/sync-stats.json');
     
-    // Expose databases for debugging
-    this.mainDb = require('../config/firebase').mainDb;
-    this.backupDb = require('../config/firebase').backupDb;
-    
     // Initialize with real values
     this.syncStats = {
       totalSynced: 0,
@@ -29,13 +24,18 @@ class EnhancedSyncService extends SyncService {
       status: 'idle',
       duplicatesSkipped: 0,
       incrementalSyncs: 0,
+      deletionsPropagated: 0,
+      conflictsQueued: 0,
+      collectionStats: {},
       lastFullSync: null,
       authSync: {
         totalUsers: 0,
         syncedUsers: 0,
         errors: 0,
         lastSync: null,
-        customClaims: 0
+        customClaims: 0,
+        deletedUsers: 0,
+        disabledUsers: 0
       }
     };
     
@@ -70,37 +70,26 @@ class EnhancedSyncService extends SyncService {
     }
   }
 
-  async checkDatabaseHealth() {
-    try {
-      this.isMainDbOnline = await checkMainDbHealth();
-      this.isBackupDbOnline = await checkBackupDbHealth();
-      this.isMainAuthOnline = await checkMainAuthHealth();
-      this.isBackupAuthOnline = await checkBackupAuthHealth();
-      
-      const status = {
-        mainDb: this.isMainDbOnline,
-        backupDb: this.isBackupDbOnline,
-        mainAuth: this.isMainAuthOnline,
-        backupAuth: this.isBackupAuthOnline,
-        timestamp: new Date().toISOString()
-      };
-      
+  getHealthProbes() {
+    return {
+      ...super.getHealthProbes(),
+      mainAuth: () => this.authSyncService.mainAuth.ping(),
+      backupAuth: () => this.authSyncService.backupAuth.ping()
+    };
+  }
+
+  async checkDatabaseHealth({ force = false } = {}) {
+    const { fresh, status } = await this.healthMonitor.check({ force });
+    this.isMainDbOnline = status.mainDb;
+    this.isBackupDbOnline = status.backupDb;
+    this.isMainAuthOnline = status.mainAuth;
+    this.isBackupAuthOnline = status.backupAuth;
+    
+    if (fresh) {
       logger.info(`💊 Health: MainDB=${status.mainDb}, BackupDB=${status.backupDb}, MainAuth=${status.mainAuth}, BackupAuth=${status.backupAuth}`);
-      
-      this.io.emit('healthCheck', status);
-      return status;
-    } catch (error) {
-      logger.error('❌ Health check failed:', error);
-      const status = {
-        mainDb: false,
-        backupDb: false,
-        mainAuth: false,
-        backupAuth: false,
-        timestamp: new Date().toISOString()
-      };
       this.io.emit('healthCheck', status);
-      return status;
     }
+    return status;
   }
 
   async init() {
@@ -122,10 +111,12 @@ class EnhancedSyncService extends SyncService {
     this.emitStats();
     
     try {
+      this.setJobPhase('health-check');
       await this.checkDatabaseHealth();
       
       if (!this.isMainDbOnline || !this.isMainAuthOnline) {
         logger.warn('⚠️ Main database or auth is offline');
+        this.recoveryPending = true;
         this.syncStats.status = 'paused';
         this.emitStats();
         return;
@@ -139,18 +130,8 @@ class EnhancedSyncService extends SyncService {
         return;
       }
       
-      // Perform Firestore sync
-      const firestoreSynced = await this.performFirestoreSync();
-      
-      // Perform Auth sync
-      try {
-        const authStats = await this.authSyncService.performFullAuthSync();
-        this.syncStats.authSync = authStats;
-        this.lastAuthSync = new Date().toISOString();
-      } catch (error) {
-        logger.error('❌ Authentication sync failed:', error);
-        this.syncStats.errors++;
-      }
+      // Perform Firestore sync; auth users follow on their own schedule (performIncrementalAuthSync)
+      await this.performFirestoreSync();
       
       this.syncStats.status = 'completed';
       this.syncStats.lastSync = new Date().toISOString();
@@ -159,6 +140,12 @@ class EnhancedSyncService extends SyncService {
       logger.info('🎉 Enhanced sync completed!');
       
     } catch (error) {
+      if (error.code === 'JOB_CANCELLED') {
+        logger.warn('⏹️ Enhanced sync cancelled');
+        this.syncStats.status = 'cancelled';
+        this.saveStats();
+        throw error;
+      }
       logger.error('❌ Enhanced sync failed:', error);
       this.syncStats.status = 'error';
       this.syncStats.errors++;
@@ -170,7 +157,10 @@ class EnhancedSyncService extends SyncService {
   }
 
   async performFirestoreSync() {
+    await this.ensureCheckpointsLoaded();
+    this.setJobPhase('discovering');
     await this.discoverCollections();
+    this.setJobPhase('syncing-firestore');
     
     let totalSynced = 0;
     const isFirstSync = !this.syncStats.lastFullSync;
@@ -178,18 +168,26 @@ class EnhancedSyncService extends SyncService {
     logger.info(`📊 Syncing ${this.collections.length} collections`);
     
     for (const collectionName of this.collections) {
+      this.checkCancelled();
       try {
         const syncedCount = await this.syncCollectionToBackup(collectionName, !isFirstSync);
+        const deletedCount = await this.propagateDeletions(collectionName);
         totalSynced += syncedCount;
         
         this.io.emit('collectionSynced', {
           collection: collectionName,
           documentCount: syncedCount,
+          deletedCount,
+          detectionMethod: (this.syncStats.collectionStats[collectionName] || {}).detectionMethod || null,
           timestamp: new Date().toISOString(),
           incremental: !isFirstSync
         });
       } catch (error) {
+        if (error.code === 'JOB_CANCELLED') {
+          throw error;
+        }
         logger.error(`❌ Failed to sync ${collectionName}:`, error);
+        this.recordJobError(collectionName, error);
         this.syncStats.errors++;
       }
     }
@@ -215,6 +213,8 @@ class EnhancedSyncService extends SyncService {
     return {
       ...this.syncStats,
       authStats: this.authSyncService.getAuthStats(),
+      realtime: this.getRealtimeStatus(),
+      syncMetadata: this.checkpoints.toJSON(),
       healthStatus: {
         mainDb: this.isMainDbOnline,
         backupDb: this.isBackupDbOnline,
@@ -226,10 +226,8 @@ class EnhancedSyncService extends SyncService {
 
   async forceFullAuthSync() {
     try {
-      const authStats = await this.authSyncService.performFullAuthSync();
-      this.syncStats.authSync = authStats;
-      this.lastAuthSync = new Date().toISOString();
-      this.saveStats();
+      const authStats = await this.authSyncService.performFullAuthSync({ propagateDeletions: !this.recoveryPending });
+      this.recordAuthSync(authStats);
       return authStats;
     } catch (error) {
       logger.error('❌ Force full auth sync failed:', error);
@@ -237,6 +235,62 @@ class EnhancedSyncService extends SyncService {
     }
   }
 
+  // Scheduled auth sync: imports only new or changed users
+  async performIncrementalAuthSync() {
+    const authStats = await this.authSyncService.performIncrementalAuthSync({ propagateDeletions: !this.recoveryPending });
+    this.recordAuthSync(authStats);
+    return authStats;
+  }
+
+  recordAuthSync(authStats) {
+    this.syncStats.authSync = authStats;
+    this.lastAuthSync = new Date().toISOString();
+    this.saveStats();
+    this.emitStats();
+  }
+
+  // A forced full sync re-imports every auth user on the next auth sync as well
+  async forceFullSync() {
+    this.authSyncService.clearCheckpoint();
+    await super.forceFullSync();
+  }
+
+  // Import backup-only sign-ups into main, then make sure each recovered account has its
+  // users document in main (for an email conflict, the existing main account gets it and the
+  // Firestore recovery skips users/{backupUid})
+  async recoverAuthUsers() {
+    const report = await this.authSyncService.recoverUsersToMain({ since: this.failoverStartedAt });
+    report.relinked = 0;
+
+    for (const entry of report.users) {
+      const mainUid = entry.action === 'recovered' ? entry.uid : entry.mainUid;
+      if (!mainUid) {
+        continue;
+      }
+
+      try {
+        const mainDocument = await this.mainDb.getDocument('users', mainUid);
+        if (mainDocument.exists) {
+          continue;
+        }
+        const backupDocument = await this.backupDb.getDocument('users', entry.uid);
+        if (backupDocument.exists) {
+          await this.mainDb.setDocument('users', mainUid, backupDocument.data);
+          entry.linkedTo = mainUid;
+          report.relinked++;
+        }
+      } catch (error) {
+        logger.error(`❌ Failed to re-link users/${entry.uid}:`, error);
+        this.recordJobError('users', error);
+        report.relinkFailed = (report.relinkFailed || 0) + 1;
+      }
+    }
+
+    this.syncStats.authRecovery = report;
+    this.saveStats();
+    return report;
+  }
+
   async verifyAuthIntegrity() {
     try {
       return await this.authSyncService.verifyAuthSyncIntegrity();
@@ -255,43 +309,105 @@ class EnhancedSyncService extends SyncService {
     this.isSyncing = true;
     this.syncStats.status = 'recovering';
     this.emitStats();
+    let authRecovery = null;
+    const failures = []; // Collections (null for auth) that did not recover
     
     try {
       if (!this.isMainDbOnline || !this.isMainAuthOnline) {
         logger.warn('⚠️ Main database or auth still offline, cannot recover');
+        this.syncStats.status = 'paused';
         return;
       }
       
+      await this.ensureCheckpointsLoaded();
+      
+      // Accounts created on backup during the failover, before their documents are recovered
+      this.setJobPhase('recovering-auth');
+      try {
+        authRecovery = await this.recoverAuthUsers();
+        authRecovery.users
+          .filter(entry => entry.action === 'email-conflict')
+          .forEach(entry => this.relinkedUids.set(entry.uid, entry.mainUid));
+        if (authRecovery.failed > 0 || authRecovery.relinkFailed > 0) {
+          failures.push(null);
+        }
+      } catch (error) {
+        logger.error('❌ Auth recovery failed:', error);
+        this.recordJobError(null, error);
+        this.syncStats.errors++;
+        failures.push(null);
+      }
+      
       let totalRecovered = 0;
+      const recoveryCollections = await this.getRecoveryCollections();
+      this.setJobPhase('recovering');
       
-      for (const collectionName of this.collections) {
+      for (const collectionName of recoveryCollections) {
+        this.checkCancelled();
         try {
+          const conflictsBefore = this.syncStats.conflictsQueued || 0;
           const recoveredCount = await this.syncCollectionToMain(collectionName, true);
           totalRecovered += recoveredCount;
           
           this.io.emit('collectionRecovered', {
             collection: collectionName,
             documentCount: recoveredCount,
+            conflictCount: (this.syncStats.conflictsQueued || 0) - conflictsBefore,
             timestamp: new Date().toISOString()
           });
         } catch (error) {
+          if (error.code === 'JOB_CANCELLED') {
+            throw error;
+          }
           logger.error(`❌ Failed to recover ${collectionName}:`, error);
+          this.recordJobError(collectionName, error);
           this.syncStats.errors++;
+          failures.push(collectionName);
         }
       }
       
+      if (authRecovery) {
+        authRecovery.references = this.relinkedReferences;
+        if (authRecovery.references.length > 0) {
+          logger.warn(`⚠️ ${authRecovery.references.length} recovered documents still reference backup-only accounts relinked to main accounts`);
+        }
+        this.syncStats.authRecovery = authRecovery;
+      }
+      
       this.syncStats.totalSynced += totalRecovered;
+      
+      // Backup may still hold failover writes that never reached main; failing back now would
+      // let the resumed sync propagate their absence from main as deletions, so the job fails
+      // and recovery stays pending until a retry gets everything across
+      if (failures.length > 0) {
+        const failed = failures.map(collectionName => collectionName || 'auth');
+        logger.error(`❌ Recovery incomplete, ${failed.join(', ')} failed; recovery stays pending`);
+        this.syncStats.status = 'error';
+        this.saveStats();
+        return { authRecovery, failed };
+      }
+      
+      this.recoveryPending = false;
       this.syncStats.status = 'completed';
       this.saveStats();
       
       logger.info('🎉 Recovery completed!');
+      return { authRecovery };
       
     } catch (error) {
+      if (error.code === 'JOB_CANCELLED') {
+        logger.warn('⏹️ Recovery cancelled, backup may still hold newer documents');
+        this.syncStats.status = 'cancelled';
+        this.saveStats();
+        throw error;
+      }
       logger.error('❌ Recovery failed:', error);
       this.syncStats.status = 'error';
       this.syncStats.errors++;
       this.saveStats();
     } finally {
+      this.relinkedUids = new Map();
+      this.relinkedReferences = [];
       this.isSyncing = false;
       this.emitStats();
     }
@@ -0,0 +1,231 @@
+const path = require('path');
+const { failoverAfterSeconds, failbackAfterSeconds, autoFailback, failoverStateFile } = require('../config/syncConfig');
+const { readJsonFile, writeJsonFileAtomic } = require('../utils/atomicFile');
+const { logger } = require('../utils/logger');
+
+// normal -> main-degraded -> failed-over -> recovering -> normal
+// - main-degraded: main DB or auth failed a check; back to normal if it passes again in time
+// - failed-over: main stayed down for FAILOVER_AFTER_SECONDS, clients use backup, sync is suspended
+// - recovering: main stayed up for FAILBACK_AFTER_SECONDS, recovery copies backup changes to main
+// A completed recovery resumes the normal sync and returns to normal.
+const STATES = ['normal', 'main-degraded', 'failed-over', 'recovering'];
+const HISTORY_LIMIT = 50;
+
+class FailoverOrchestrator {
+  constructor(syncService, publisher, jobManager, runners) {
+    this.syncService = syncService;
+    this.io = publisher;
+    this.jobManager = jobManager;
+    this.runners = runners;
+    this.filePath = path.resolve(failoverStateFile);
+    this.state = 'normal';
+    this.since = new Date().toISOString();
+    this.history = [];
+    this.recoveryJobId = null;
+    this.unhealthySince = null;
+    this.healthySince = null;
+    this.failoverStartedAt = null; // When main first failed, the cutoff for auth recovery
+    this.load();
+
+    publisher.on('healthCheck', status => this.onHealthCheck(status));
+    publisher.on('jobUpdate', job => this.onJobUpdate(job));
+  }
+
+  // Pick up where a restarted process left off; a recovery that was running died with it
+  load() {
+    try {
+      const saved = readJsonFile(this.filePath, null);
+      if (!saved || !STATES.includes(saved.state)) {
+        return;
+      }
+
+      this.history = saved.history || [];
+      this.since = saved.since;
+      this.state = saved.state === 'recovering' ? 'failed-over' : saved.state;
+      if (this.state === 'failed-over') {
+        this.failoverStartedAt = saved.failoverStartedAt || null;
+        this.syncService.failoverStartedAt = this.failoverStartedAt;
+        this.syncService.recoveryPending = true;
+        logger.warn('🔀 Resuming in failed-over state, recovery still pending');
+      }
+    } catch (error) {
+      logger.error('❌ Failed to load failover state:', error);
+    }
+  }
+
+  save() {
+    try {
+      writeJsonFileAtomic(this.filePath, {
+        state: this.state,
+        since: this.since,
+        failoverStartedAt: this.failoverStartedAt,
+        history: this.history
+      });
+    } catch (error) {
+      logger.error('❌ Failed to save failover state:', error);
+    }
+  }
+
+  transition(to, reason) {
+    const from = this.state;
+    const at = new Date().toISOString();
+    this.state = to;
+    this.since = at;
+    this.history.push({ from, to, reason, at });
+    if (this.history.length > HISTORY_LIMIT) {
+      this.history.shift();
+    }
+
+    logger.warn(`🔀 Failover: ${from} -> ${to} (${reason})`);
+    this.save();
+    this.io.emit('failoverState', this.toJSON());
+  }
+
+  onHealthCheck(status) {
+    const healthy = status.mainDb === true && status.mainAuth === true;
+    const now = Date.now();
+
+    if (healthy) {
+      this.unhealthySince = null;
+      this.healthySince = this.healthySince || now;
+    } else {
+      this.healthySince = null;
+      this.unhealthySince = this.unhealthySince || now;
+    }
+
+    switch (this.state) {
+      case 'normal':
+        if (!healthy) {
+          this.transition('main-degraded', 'Main database or auth failed a health check');
+        }
+        break;
+
+      case 'main-degraded':
+        if (healthy) {
+          this.transition('normal', 'Main passed a health check again before failover');
+        } else if (now - this.unhealthySince >= failoverAfterSeconds * 1000) {
+          this.failoverStartedAt = new Date(this.unhealthySince).toISOString();
+          this.syncService.failoverStartedAt = this.failoverStartedAt;
+          this.syncService.recoveryPending = true;
+          this.stopRealtime();
+          this.transition('failed-over', `Main unhealthy for ${failoverAfterSeconds}s`);
+        }
+        break;
+
+      case 'failed-over':
+        if (healthy && autoFailback && now - this.healthySince >= failbackAfterSeconds * 1000) {
+          this.startRecovery();
+        }
+        break;
+
+      case 'recovering':
+        if (!healthy) {
+          if (this.recoveryJobId) {
+            this.jobManager.cancel(this.recoveryJobId);
+          }
+          this.transition('failed-over', 'Main failed a health check during recovery');
+        }
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  // Start the automatic recovery, retried on the next health check while another operation runs
+  startRecovery() {
+    if (this.jobManager.getActiveJob() || this.syncService.isSyncing) {
+      logger.info('🔀 Failback waiting for the running operation to finish');
+      return;
+    }
+
+    const job = this.jobManager.start('recovery', this.runners.recovery, { trigger: 'auto-failback' });
+    this.recoveryJobId = job.id;
+    this.transition('recovering', `Main healthy for ${failbackAfterSeconds}s, recovery job ${job.id} started`);
+  }
+
+  onJobUpdate(job) {
+    if (job.type !== 'recovery' || !['completed', 'failed', 'cancelled'].includes(job.status)) {
+      return;
+    }
+
+    // A manual recovery finishing while failed over counts as a failback too
+    if (job.status === 'completed' && ['failed-over', 'recovering'].includes(this.state)) {
+      this.recoveryJobId = null;
+      this.failoverStartedAt = null;
+      this.syncService.failoverStartedAt = null;
+      this.transition('normal', `Recovery job ${job.id} completed`);
+      this.startRealtime();
+      this.resumeSync();
+      return;
+    }
+
+    if (job.id === this.recoveryJobId && this.state === 'recovering') {
+      this.recoveryJobId = null;
+      this.healthySince = null;
+      this.transition('failed-over', `Recovery job ${job.id} ${job.status}, retrying after the failback delay`);
+    }
+  }
+
+  resumeSync() {
+    try {
+      this.jobManager.start('sync', this.runners.sync, { trigger: 'auto-failback' });
+    } catch (error) {
+      logger.warn(`⚠️ Could not resume sync after failback: ${error.message}`);
+    }
+  }
+
+  // Real-time listeners would copy main's stale documents over backup's failover edits
+  stopRealtime() {
+    if (this.syncService.isRealtimeActive) {
+      logger.warn('🔀 Stopping real-time replication until recovery completes');
+      this.syncService.stopRealtimeSync();
+    }
+  }
+
+  startRealtime() {
+    if (this.syncService.syncMode !== 'realtime' || this.syncService.isRealtimeActive) {
+      return;
+    }
+    logger.info('🔀 Restarting real-time replication after failback');
+    this.syncService.startRealtimeSync().catch(error => {
+      logger.error('❌ Failed to restart real-time replication:', error);
+    });
+  }
+
+  // Scheduled syncs wait until backup's changes are recovered into main
+  isSyncSuspended() {
+    return this.state === 'failed-over' || this.state === 'recovering';
+  }
+
+  // Which project clients should talk to
+  activeProject() {
+    return this.state === 'failed-over' ? 'backup' : 'main';
+  }
+
+  // What unauthenticated clients may see: the state and its transitions, without reasons or job details
+  toPublicJSON() {
+    return {
+      state: this.state,
+      since: this.since,
+      activeProject: this.activeProject(),
+      history: this.history.map(({ from, to, at }) => ({ from, to, at })).reverse()
+    };
+  }
+
+  toJSON() {
+    return {
+      state: this.state,
+      since: this.since,
+      activeProject: this.activeProject(),
+      autoFailback,
+      failoverAfterSeconds,
+      failbackAfterSeconds,
+      recoveryJobId: this.recoveryJobId,
+      failoverStartedAt: this.failoverStartedAt,
+      history: [...this.history].reverse()
+    };
+  }
+}
+
+module.exports = FailoverOrchestrator;
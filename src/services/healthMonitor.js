@@ -0,0 +1,168 @@
+const {
+  healthCacheTtlMs,
+  healthProbeTimeoutMs,
+  healthBreakerThreshold,
+  healthBreakerCooldownMs,
+  healthHistorySize
+} = require('../config/syncConfig');
+const metrics = require('../utils/metrics');
+const { logger } = require('../utils/logger');
+
+// A project is usable when every probed target of it is up
+const PROJECTS = {
+  main: ['mainDb', 'mainAuth'],
+  backup: ['backupDb', 'backupAuth']
+};
+
+// Runs health probes per target (mainDb, backupDb, mainAuth, backupAuth) with:
+// - a result cache, so sockets and API calls inside HEALTH_CACHE_TTL_MS share one round of probes
+// - latency and recent history per target
+// - a circuit breaker per target: after HEALTH_BREAKER_THRESHOLD failures in a row the target is
+//   reported down without probing until HEALTH_BREAKER_COOLDOWN_MS passes, then one trial probe
+//   (half-open) decides whether it closes again
+class HealthMonitor {
+  constructor(probes) {
+    this.probes = probes; // target -> async () => boolean
+    this.targets = {};
+    Object.keys(probes).forEach(name => {
+      this.targets[name] = {
+        up: null,
+        latencyMs: null,
+        checkedAt: null,
+        error: null,
+        consecutiveFailures: 0,
+        circuit: 'closed',
+        circuitOpenedAt: null,
+        history: []
+      };
+    });
+    this.lastCheckAt = null;
+    this.inFlight = null;
+  }
+
+  // Returns { fresh, status }; fresh is false when the cached result was served
+  async check({ force = false } = {}) {
+    if (this.inFlight) {
+      return { fresh: false, status: await this.inFlight };
+    }
+    if (!force && this.lastCheckAt && Date.now() - this.lastCheckAt < healthCacheTtlMs) {
+      return { fresh: false, status: this.getStatus() };
+    }
+
+    this.inFlight = Promise.all(Object.keys(this.probes).map(name => this.probeTarget(name)))
+      .then(() => {
+        this.lastCheckAt = Date.now();
+        return this.getStatus();
+      })
+      .finally(() => {
+        this.inFlight = null;
+      });
+
+    return { fresh: true, status: await this.inFlight };
+  }
+
+  async probeTarget(name) {
+    const target = this.targets[name];
+
+    if (target.circuit === 'open') {
+      if (Date.now() - target.circuitOpenedAt < healthBreakerCooldownMs) {
+        return;
+      }
+      target.circuit = 'half-open';
+    }
+
+    const started = Date.now();
+    let up = false;
+    let error = null;
+    let timer;
+    try {
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Probe timed out after ${healthProbeTimeoutMs}ms`)), healthProbeTimeoutMs);
+      });
+      up = (await Promise.race([this.probes[name](), timeout])) === true;
+    } catch (probeError) {
+      error = probeError.message;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    const latencyMs = Date.now() - started;
+    Object.assign(target, { up, latencyMs, checkedAt: new Date().toISOString(), error });
+    target.history.push({ at: target.checkedAt, up, latencyMs });
+    if (target.history.length > healthHistorySize) {
+      target.history.shift();
+    }
+    metrics.recordProbe(name, up, latencyMs);
+
+    if (up) {
+      if (target.circuit !== 'closed') {
+        logger.info(`🔌 ${name} circuit closed`);
+      }
+      target.consecutiveFailures = 0;
+      target.circuit = 'closed';
+      target.circuitOpenedAt = null;
+    } else {
+      target.consecutiveFailures++;
+      if (target.circuit === 'half-open' || target.consecutiveFailures >= healthBreakerThreshold) {
+        if (target.circuit !== 'open') {
+          logger.warn(`🔌 ${name} circuit open after ${target.consecutiveFailures} failed probes`);
+        }
+        target.circuit = 'open';
+        target.circuitOpenedAt = Date.now();
+      }
+    }
+    metrics.circuitOpen.set({ target: name }, target.circuit === 'open' ? 1 : 0);
+  }
+
+  // healthy: everything up; degraded: at least one project fully up; unhealthy: neither project usable
+  getOverall() {
+    const names = Object.keys(this.targets);
+    if (names.every(name => this.targets[name].up === true)) {
+      return 'healthy';
+    }
+
+    const projectUp = targets => targets
+      .filter(name => this.targets[name])
+      .every(name => this.targets[name].up === true);
+    return Object.values(PROJECTS).some(projectUp) ? 'degraded' : 'unhealthy';
+  }
+
+  isReady() {
+    return this.getOverall() !== 'unhealthy';
+  }
+
+  // Flat status as published in healthCheck events: one boolean per target
+  getStatus() {
+    const status = {};
+    const latencyMs = {};
+    Object.entries(this.targets).forEach(([name, target]) => {
+      status[name] = target.up === true;
+      latencyMs[name] = target.latencyMs;
+    });
+
+    return {
+      ...status,
+      overall: this.getOverall(),
+      latencyMs,
+      timestamp: new Date(this.lastCheckAt || Date.now()).toISOString()
+    };
+  }
+
+  toJSON({ includeHistory = true } = {}) {
+    const targets = {};
+    Object.entries(this.targets).forEach(([name, target]) => {
+      const { history, ...current } = target;
+      targets[name] = includeHistory ? { ...current, history: [...history] } : current;
+    });
+
+    return {
+      overall: this.getOverall(),
+      ready: this.isReady(),
+      checkedAt: this.lastCheckAt ? new Date(this.lastCheckAt).toISOString() : null,
+      cacheTtlMs: healthCacheTtlMs,
+      targets
+    };
+  }
+}
+
+module.exports = HealthMonitor;
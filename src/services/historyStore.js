@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const path = require('path');
+const { historyFile, historyMaxRecords, historyRetentionDays } = require('../config/syncConfig');
+const { readJsonFile, writeJsonFileAtomic } = require('../utils/atomicFile');
+const { logger } = require('../utils/logger');
+
+// Persisted log of every sync, recovery, auth sync and integrity run, newest last on disk
+// Record: { id, type, trigger, status, startedAt, finishedAt, durationMs,
+//           collections: { path: { read, written, skipped, deleted, conflicts, errors } },
+//           errors: [{ collection, message, at }], summary }
+class HistoryStore {
+  constructor() {
+    this.filePath = path.resolve(historyFile);
+    this.records = [];
+    this.load();
+  }
+
+  load() {
+    try {
+      this.records = readJsonFile(this.filePath, { records: [] }).records;
+      logger.info(`📜 Loaded ${this.records.length} sync history records`);
+    } catch (error) {
+      logger.error('❌ Failed to load sync history:', error);
+    }
+  }
+
+  save() {
+    writeJsonFileAtomic(this.filePath, { records: this.records });
+  }
+
+  add(record) {
+    const startedAt = new Date(record.startedAt);
+    const finishedAt = new Date(record.finishedAt || Date.now());
+    const entry = {
+      id: crypto.randomUUID(),
+      ...record,
+      startedAt: startedAt.toISOString(),
+      finishedAt: finishedAt.toISOString(),
+      durationMs: finishedAt - startedAt,
+      collections: record.collections || {},
+      errors: record.errors || [],
+      summary: record.summary || null
+    };
+
+    this.records.push(entry);
+    this.applyRetention();
+    this.save();
+    return entry;
+  }
+
+  get(id) {
+    return this.records.find(record => record.id === id) || null;
+  }
+
+  // Run an operation and record its outcome; describe(result) adds collections/summary
+  async track(type, trigger, run, describe = () => ({})) {
+    const startedAt = new Date();
+    try {
+      const result = await run();
+      this.add({ type, trigger, status: 'completed', startedAt, ...describe(result) });
+      return result;
+    } catch (error) {
+      this.add({
+        type,
+        trigger,
+        status: 'failed',
+        startedAt,
+        errors: [{ collection: null, message: error.message, at: new Date().toISOString() }]
+      });
+      throw error;
+    }
+  }
+
+  // Drop records older than the retention window, then the oldest beyond the record limit
+  applyRetention() {
+    const cutoff = Date.now() - historyRetentionDays * 24 * 60 * 60 * 1000;
+    this.records = this.records
+      .filter(record => new Date(record.startedAt).getTime() >= cutoff)
+      .slice(-historyMaxRecords);
+  }
+
+  // Filtered page of records, newest first
+  // filters: { type, status, trigger, collection, since, until, limit, offset }
+  query({ type, status, trigger, collection, since, until, limit = 50, offset = 0 } = {}) {
+    const sinceTime = since ? new Date(since).getTime() : null;
+    const untilTime = until ? new Date(until).getTime() : null;
+
+    const matches = this.records.filter(record => {
+      const started = new Date(record.startedAt).getTime();
+      return (!type || record.type === type)
+        && (!status || record.status === status)
+        && (!trigger || record.trigger === trigger)
+        && (!collection || Object.prototype.hasOwnProperty.call(record.collections, collection))
+        && (sinceTime === null || started >= sinceTime)
+        && (untilTime === null || started <= untilTime);
+    }).reverse();
+
+    return {
+      total: matches.length,
+      limit,
+      offset,
+      records: matches.slice(offset, offset + limit)
+    };
+  }
+}
+
+// History fields for a data integrity report: documents read per side, repaired and open issues
+HistoryStore.describeIntegrityReport = (report) => {
+  const collections = {};
+  const errors = [];
+  Object.entries(report.collections).forEach(([collectionName, result]) => {
+    const repaired = report.repair && report.repair.collections[collectionName];
+    const written = repaired
+      ? repaired.copiedToBackup + repaired.resynced + repaired.copiedToMain + repaired.deletedFromBackup
+      : 0;
+    collections[collectionName] = {
+      read: (result.mainCount || 0) + (result.backupCount || 0),
+      written,
+      skipped: repaired ? repaired.skipped : 0,
+      issues: result.issues || 0,
+      errors: result.error ? 1 : 0
+    };
+    if (result.error) {
+      errors.push({ collection: collectionName, message: result.error, at: report.timestamp });
+    }
+  });
+
+  return {
+    collections,
+    errors,
+    summary: {
+      totalIssues: report.totalIssues,
+      repairActions: report.repair ? report.repair.actions : 0
+    }
+  };
+};
+
+// History fields for an auth sync; per-user failures are only counted by the auth service
+HistoryStore.describeAuthSync = ({ userDecisions, ...stats }) => {
+  const failed = (stats.failedUsers || 0) + (stats.lastReconcile ? stats.lastReconcile.failed : 0);
+  return {
+    errors: failed > 0
+      ? [{ collection: null, message: `${failed} users failed to sync`, at: new Date().toISOString() }]
+      : [],
+    summary: stats
+  };
+};
+
+HistoryStore.describeAuthIntegrity = (report) => ({
+  summary: {
+    mainCount: report.mainCount,
+    backupCount: report.backupCount,
+    missingInBackup: report.missingInBackup,
+    extraInBackup: report.extraInBackup
+  }
+});
+
+module.exports = HistoryStore;
@@ -0,0 +1,206 @@
+const crypto = require('crypto');
+const { logger } = require('../utils/logger');
+const metrics = require('../utils/metrics');
+
+// Finished jobs kept in memory for GET /api/jobs/:id
+const MAX_FINISHED_JOBS = 50;
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Runs sync, full sync, recovery and snapshot jobs in the background, one at a time.
+// Each run gets a job record with its phase, per-collection progress and errors;
+// cancellation is cooperative, the services stop at their next checkCancelled().
+class JobManager {
+  constructor(syncService, publisher, historyStore = null) {
+    this.syncService = syncService;
+    this.io = publisher;
+    this.history = historyStore;
+    this.jobs = new Map(); // job id -> job, insertion ordered
+    this.activeJob = null;
+
+    // Per-collection progress comes from the events the services already publish
+    publisher.on('syncProgress', event => this.trackProgress(event.collection, {
+      read: event.documentsRead,
+      written: event.documentCount
+    }));
+    publisher.on('collectionSynced', event => this.trackProgress(event.collection, {
+      written: event.documentCount,
+      deleted: event.deletedCount,
+      status: 'done'
+    }));
+    publisher.on('recoveryProgress', event => this.trackProgress(event.collection, {
+      read: event.documentsRead,
+      written: event.documentCount
+    }));
+    publisher.on('collectionRecovered', event => this.trackProgress(event.collection, {
+      written: event.documentCount,
+      conflicts: event.conflictCount,
+      status: 'done'
+    }));
+  }
+
+  getActiveJob() {
+    return this.activeJob;
+  }
+
+  getJob(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  listJobs() {
+    return [...this.jobs.values()].reverse().map(job => this.toJSON(job));
+  }
+
+  // Start an operation in the background, throws when another job is running
+  start(type, run, { trigger = 'api' } = {}) {
+    if (this.activeJob) {
+      const error = new Error(`A ${this.activeJob.type} job is already running`);
+      error.code = 'JOB_CONFLICT';
+      error.jobId = this.activeJob.id;
+      throw error;
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      trigger,
+      status: 'running',
+      phase: 'starting',
+      createdAt: new Date().toISOString(),
+      finishedAt: null,
+      cancelRequested: false,
+      collections: {},
+      errors: [],
+      result: null
+    };
+
+    this.jobs.set(job.id, job);
+    this.activeJob = job;
+    this.syncService.activeJob = job;
+    logger.info(`🧵 Job ${job.id} started: ${type} (${trigger})`);
+    this.publish(job);
+
+    this.execute(job, run);
+    return job;
+  }
+
+  async execute(job, run) {
+    const endTimer = metrics.runDuration.startTimer({ type: job.type });
+    try {
+      const output = await run(job);
+
+      // The services report skipped and failed runs through their status instead of throwing;
+      // whatever the run returns (e.g. the auth recovery report) is kept next to it. Runs outside
+      // the sync services (snapshots) return their own status.
+      const status = (output && output.status) || this.syncService.syncStats.status;
+      job.result = { status, ...(output || {}) };
+      if (status === 'error') {
+        job.status = 'failed';
+      } else if (status === 'paused') {
+        job.status = 'failed';
+        job.errors.push({ collection: null, message: 'Skipped: main database or auth is offline', at: new Date().toISOString() });
+      } else {
+        job.status = 'completed';
+      }
+    } catch (error) {
+      if (error.code === 'JOB_CANCELLED') {
+        job.status = 'cancelled';
+      } else {
+        logger.error(`❌ Job ${job.id} failed:`, error);
+        job.status = 'failed';
+        job.errors.push({ collection: null, message: error.message, at: new Date().toISOString() });
+      }
+    } finally {
+      job.phase = 'finished';
+      job.finishedAt = new Date().toISOString();
+      endTimer({ status: job.status });
+      this.activeJob = null;
+      this.syncService.activeJob = null;
+      logger.info(`🧵 Job ${job.id} ${job.status}`);
+      this.publish(job);
+      this.recordHistory(job);
+      this.prune();
+    }
+  }
+
+  // Ask a running job to stop at its next cancellation point
+  cancel(id) {
+    const job = this.getJob(id);
+    if (!job || FINISHED_STATUSES.includes(job.status)) {
+      return job;
+    }
+
+    job.cancelRequested = true;
+    job.status = 'cancelling';
+    logger.info(`⏹️ Cancellation requested for job ${id}`);
+    this.publish(job);
+    return job;
+  }
+
+  // Save a finished job as a run history record
+  recordHistory(job) {
+    if (!this.history) {
+      return;
+    }
+
+    const collections = {};
+    Object.entries(job.collections).forEach(([collectionName, progress]) => {
+      const read = progress.read || 0;
+      const written = progress.written || 0;
+      collections[collectionName] = {
+        read,
+        written,
+        skipped: Math.max(0, read - written),
+        deleted: progress.deleted || 0,
+        conflicts: progress.conflicts || 0,
+        errors: job.errors.filter(error => error.collection === collectionName).length
+      };
+    });
+
+    try {
+      this.history.add({
+        type: job.type,
+        trigger: job.trigger,
+        status: job.status,
+        startedAt: job.createdAt,
+        finishedAt: job.finishedAt,
+        jobId: job.id,
+        collections,
+        errors: job.errors,
+        summary: job.result
+      });
+    } catch (error) {
+      logger.error(`❌ Failed to record history for job ${job.id}:`, error);
+    }
+  }
+
+  trackProgress(collectionName, progress) {
+    const job = this.activeJob;
+    if (!job || !collectionName) {
+      return;
+    }
+
+    const entry = job.collections[collectionName] || { status: 'running' };
+    Object.entries(progress).forEach(([key, value]) => {
+      if (value !== undefined) {
+        entry[key] = value;
+      }
+    });
+    job.collections[collectionName] = entry;
+  }
+
+  prune() {
+    const finished = [...this.jobs.values()].filter(job => FINISHED_STATUSES.includes(job.status));
+    finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS)).forEach(job => this.jobs.delete(job.id));
+  }
+
+  publish(job) {
+    this.io.emit('jobUpdate', this.toJSON(job));
+  }
+
+  toJSON(job) {
+    return { ...job, collections: { ...job.collections }, errors: [...job.errors] };
+  }
+}
+
+module.exports = JobManager;
@@ -0,0 +1,335 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
+const { snapshotDir, snapshotRetention, readPageSize, mainAuthHash, backupAuthHash } = require('../config/syncConfig');
+const { writeJsonFileAtomic, readJsonFile } = require('../utils/atomicFile');
+const { normalizeValue, denormalizeValue } = require('../utils/documentHash');
+const { logger } = require('../utils/logger');
+
+const MANIFEST_FILE = 'manifest.json';
+const AUTH_FILE = 'auth-users.ndjson.gz';
+const SNAPSHOT_ID_PATTERN = /^[\w-]+$/;
+
+const collectionFile = collectionPath => `${encodeURIComponent(collectionPath)}.ndjson.gz`;
+
+// Retention bucket keys for a snapshot time (UTC)
+const hourKey = date => date.toISOString().slice(0, 13);
+const dayKey = date => date.toISOString().slice(0, 10);
+const weekKey = (date) => {
+  // Monday that starts the week
+  const monday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7));
+  return dayKey(monday);
+};
+
+// Point-in-time snapshots of every collection and the Auth users, as gzipped NDJSON on local disk
+// Layout: <SNAPSHOT_DIR>/<id>/manifest.json, one <collection>.ndjson.gz per collection, auth-users.ndjson.gz
+class SnapshotService {
+  constructor(syncService) {
+    this.syncService = syncService;
+    this.io = syncService.io;
+    this.dir = path.resolve(snapshotDir);
+    this.isSnapshotting = false;
+    this.removePartialSnapshots();
+  }
+
+  // A process that died mid-snapshot leaves its <id>.partial directory behind
+  removePartialSnapshots() {
+    if (!fs.existsSync(this.dir)) {
+      return;
+    }
+
+    const partial = fs.readdirSync(this.dir).filter(name => name.endsWith('.partial'));
+    partial.forEach(name => fs.rmSync(path.join(this.dir, name), { recursive: true, force: true }));
+    if (partial.length > 0) {
+      logger.warn(`🧹 Removed ${partial.length} incomplete snapshots left by an earlier run`);
+    }
+  }
+
+  snapshotPath(id) {
+    if (!SNAPSHOT_ID_PATTERN.test(id)) {
+      throw new Error(`Invalid snapshot id: ${id}`);
+    }
+    return path.join(this.dir, id);
+  }
+
+  // Manifests of every complete snapshot, newest first
+  listSnapshots() {
+    if (!fs.existsSync(this.dir)) {
+      return [];
+    }
+
+    return fs.readdirSync(this.dir)
+      .filter(id => SNAPSHOT_ID_PATTERN.test(id))
+      .map(id => this.getSnapshot(id))
+      .filter(Boolean)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  getSnapshot(id) {
+    try {
+      return readJsonFile(path.join(this.snapshotPath(id), MANIFEST_FILE), null);
+    } catch (error) {
+      logger.error(`❌ Failed to read snapshot ${id}:`, error);
+      return null;
+    }
+  }
+
+  // Write a snapshot of one side (main by default) and apply the retention policy.
+  // Runs as a 'snapshot' job, so it never overlaps a sync, recovery or restore.
+  async createSnapshot({ source = 'main', trigger = 'manual' } = {}) {
+    if (this.isSnapshotting) {
+      throw new Error('Snapshot already in progress');
+    }
+
+    this.isSnapshotting = true;
+    const createdAt = new Date();
+    const id = createdAt.toISOString().replace(/[:.]/g, '-');
+    const finalDir = this.snapshotPath(id);
+    const workDir = `${finalDir}.partial`;
+
+    try {
+      logger.info(`📸 Creating ${source} snapshot ${id}...`);
+      const db = source === 'backup' ? this.syncService.backupDb : this.syncService.mainDb;
+      const auth = source === 'backup'
+        ? this.syncService.authSyncService.backupAuth
+        : this.syncService.authSyncService.mainAuth;
+
+      fs.mkdirSync(workDir, { recursive: true });
+
+      const manifest = { id, createdAt: createdAt.toISOString(), source, trigger, collections: {}, auth: null };
+      const collectionPaths = await this.getCollectionPaths();
+
+      for (const collectionPath of collectionPaths) {
+        this.syncService.checkCancelled();
+        const file = collectionFile(collectionPath);
+        const documentCount = await this.writeCollection(db, collectionPath, path.join(workDir, file));
+        manifest.collections[collectionPath] = { file, documentCount };
+      }
+
+      manifest.auth = { file: AUTH_FILE, userCount: await this.writeAuthUsers(auth, path.join(workDir, AUTH_FILE)) };
+      manifest.completedAt = new Date().toISOString();
+      writeJsonFileAtomic(path.join(workDir, MANIFEST_FILE), manifest);
+
+      // Only complete snapshots ever appear under their final name
+      fs.renameSync(workDir, finalDir);
+
+      const totalDocuments = Object.values(manifest.collections).reduce((sum, c) => sum + c.documentCount, 0);
+      logger.info(`✅ Snapshot ${id}: ${totalDocuments} documents in ${collectionPaths.length} collections, ${manifest.auth.userCount} users`);
+      this.io.emit('snapshotCreated', { id, source, trigger, totalDocuments, userCount: manifest.auth.userCount });
+
+      this.applyRetention();
+      return manifest;
+    } catch (error) {
+      logger.error(`❌ Snapshot ${id} failed:`, error);
+      fs.rmSync(workDir, { recursive: true, force: true });
+      throw error;
+    } finally {
+      this.isSnapshotting = false;
+    }
+  }
+
+  // The collection tree the syncs use, walked only when discovery has not run yet. Backup gets
+  // the same paths: syncs write nothing else there, and recovery walks backup for the rest.
+  async getCollectionPaths() {
+    if (!this.syncService.collectionTreeDiscoveredAt) {
+      await this.syncService.discoverCollections();
+    }
+    return this.syncService.collections;
+  }
+
+  // Stream a collection page by page into a gzipped NDJSON file
+  async writeCollection(db, collectionPath, filePath) {
+    let documentCount = 0;
+
+    async function* lines() {
+      for await (const page of db.iteratePages(collectionPath, { limit: readPageSize })) {
+        for (const doc of page) {
+          documentCount++;
+          yield `${JSON.stringify({ id: doc.id, data: normalizeValue(doc.data) })}\n`;
+        }
+      }
+    }
+
+    await pipeline(lines, zlib.createGzip(), fs.createWriteStream(filePath));
+    return documentCount;
+  }
+
+  async writeAuthUsers(auth, filePath) {
+    let userCount = 0;
+
+    async function* lines() {
+      let pageToken;
+      do {
+        const result = await auth.listUsers(1000, pageToken);
+        for (const user of result.users) {
+          userCount++;
+          yield `${JSON.stringify(typeof user.toJSON === 'function' ? user.toJSON() : user)}\n`;
+        }
+        pageToken = result.pageToken;
+      } while (pageToken);
+    }
+
+    await pipeline(lines, zlib.createGzip(), fs.createWriteStream(filePath));
+    return userCount;
+  }
+
+  async *readLines(filePath) {
+    const input = fs.createReadStream(filePath).pipe(zlib.createGunzip());
+    for await (const line of readline.createInterface({ input, crlfDelay: Infinity })) {
+      if (line) {
+        yield JSON.parse(line);
+      }
+    }
+  }
+
+  // Keep the newest snapshot of each of the newest N hours, days and weeks, delete the rest
+  applyRetention() {
+    const snapshots = this.listSnapshots();
+    const keep = new Set();
+
+    [[hourKey, snapshotRetention.hourly], [dayKey, snapshotRetention.daily], [weekKey, snapshotRetention.weekly]]
+      .forEach(([bucketKey, limit]) => {
+        const buckets = new Set();
+        for (const snapshot of snapshots) {
+          const bucket = bucketKey(new Date(snapshot.createdAt));
+          if (!buckets.has(bucket) && buckets.size < limit) {
+            buckets.add(bucket);
+            keep.add(snapshot.id);
+          }
+        }
+      });
+
+    const expired = snapshots.filter(snapshot => !keep.has(snapshot.id));
+    expired.forEach(snapshot => {
+      fs.rmSync(this.snapshotPath(snapshot.id), { recursive: true, force: true });
+    });
+
+    if (expired.length > 0) {
+      logger.info(`🧹 Removed ${expired.length} expired snapshots, ${keep.size} kept`);
+    }
+    return expired.map(snapshot => snapshot.id);
+  }
+
+  // Restore a snapshot into main, backup or both. Runs as a 'snapshot-restore' job, which keeps
+  // syncs from replicating a half-restored dataset.
+  // options: { target: 'main' | 'backup' | 'both', collection (restore only this one), prune (delete documents created since) }
+  // Auth users are restored with whole-dataset restores only.
+  async restoreSnapshot(id, { target = 'main', collection = null, prune = false } = {}) {
+    const manifest = this.getSnapshot(id);
+    if (!manifest) {
+      throw new Error(`Snapshot ${id} not found`);
+    }
+    if (collection && !manifest.collections[collection]) {
+      throw new Error(`Snapshot ${id} has no collection ${collection}`);
+    }
+    if (this.syncService.isSyncing) {
+      throw new Error('A sync or recovery is in progress, try again when it finishes');
+    }
+
+    const targets = target === 'both' ? ['main', 'backup'] : [target];
+    const collectionPaths = collection ? [collection] : Object.keys(manifest.collections);
+    const result = { id, target, collections: {}, usersRestored: null };
+
+    logger.info(`⏪ Restoring snapshot ${id} into ${target} (${collectionPaths.length} collections)...`);
+
+    for (const collectionPath of collectionPaths) {
+      const filePath = path.join(this.snapshotPath(id), manifest.collections[collectionPath].file);
+      result.collections[collectionPath] = {};
+
+      for (const side of targets) {
+        const db = side === 'backup' ? this.syncService.backupDb : this.syncService.mainDb;
+        result.collections[collectionPath][side] = await this.restoreCollection(db, collectionPath, filePath, prune);
+      }
+    }
+
+    if (!collection && manifest.auth) {
+      result.usersRestored = {};
+      for (const side of targets) {
+        const auth = side === 'backup'
+          ? this.syncService.authSyncService.backupAuth
+          : this.syncService.authSyncService.mainAuth;
+        result.usersRestored[side] = await this.restoreAuthUsers(
+          auth,
+          path.join(this.snapshotPath(id), manifest.auth.file),
+          manifest.source
+        );
+      }
+    }
+
+    logger.info(`✅ Snapshot ${id} restored into ${target}`);
+    this.io.emit('snapshotRestored', { ...result, timestamp: new Date().toISOString() });
+    return result;
+  }
+
+  async restoreCollection(db, collectionPath, filePath, prune) {
+    const restoredIds = new Set();
+    let batch = [];
+
+    for await (const doc of this.readLines(filePath)) {
+      restoredIds.add(doc.id);
+      batch.push({ type: 'set', path: collectionPath, id: doc.id, data: denormalizeValue(doc.data, db), merge: false });
+
+      if (batch.length >= db.maxBatchSize) {
+        await db.writeBatch(batch);
+        batch = [];
+      }
+    }
+    if (batch.length > 0) {
+      await db.writeBatch(batch);
+    }
+
+    let deleted = 0;
+    if (prune) {
+      const extraIds = (await db.readAll(collectionPath, { fields: [] }))
+        .map(doc => doc.id)
+        .filter(docId => !restoredIds.has(docId));
+
+      for (let i = 0; i < extraIds.length; i += db.maxBatchSize) {
+        const chunk = extraIds.slice(i, i + db.maxBatchSize);
+        await db.writeBatch(chunk.map(docId => ({ type: 'delete', path: collectionPath, id: docId })));
+        deleted += chunk.length;
+      }
+    }
+
+    return { restored: restoredIds.size, deleted };
+  }
+
+  // Hashes in the snapshot were made with the source project's parameters; without them
+  // users are restored without passwords rather than failing the import
+  async restoreAuthUsers(auth, filePath, source = 'main') {
+    const authSyncService = this.syncService.authSyncService;
+    const hashOptions = authSyncService.getPasswordHashOptions(source === 'backup' ? backupAuthHash : mainAuthHash);
+    if (!hashOptions) {
+      logger.warn(`⚠️ No ${source} password hash parameters configured, restoring users without password hashes`);
+    }
+    let batch = [];
+    let restored = 0;
+
+    const flush = async () => {
+      const result = await auth.importUsers(batch, hashOptions ? { hash: hashOptions } : {});
+      if (result.failureCount > 0) {
+        logger.warn(`⚠️ Failed to restore ${result.failureCount} users from snapshot`);
+      }
+      restored += result.successCount;
+      batch = [];
+    };
+
+    for await (const user of this.readLines(filePath)) {
+      batch.push(authSyncService.toImportRecord(user, { includePasswordHash: !!hashOptions }));
+
+      if (batch.length >= 1000) {
+        await flush();
+      }
+    }
+    if (batch.length > 0) {
+      await flush();
+    }
+
+    return restored;
+  }
+}
+
+module.exports = SnapshotService;
@@ -7,13 +7,58 @@ const cron = require('node-cron');
 const path = require('path');
 const fs = require('fs');
 
-const { mainDb, backupDb, checkMainDbHealth, checkBackupDbHealth } = require('../config/firebase');
+const { getAdapters } = require('../adapters');
+const {
+  getDeletionPolicy,
+  getConflictPolicy,
+  getChangeDetection,
+  getIntegrityIgnoreFields,
+  integrityRepairMaxActions,
+  missingInMainPolicy,
+  SOFT_DELETE_FIELD,
+  syncMode,
+  realtimeResubscribeBaseMs,
+  realtimeResubscribeMaxMs,
+  discoverSubcollections,
+  subcollectionMaxDepth,
+  subcollectionNames,
+  discoveryIntervalMinutes,
+  SYNC_META_COLLECTION,
+  readPageSize,
+  partitionThreshold,
+  partitionCount
+} = require('../config/syncConfig');
+const CheckpointStore = require('./checkpointStore');
+const SyncStateStore = require('./syncStateStore');
+const ConflictQueue = require('./conflictQueue');
+const ConflictResolver = require('./conflictResolver');
+const HealthMonitor = require('./healthMonitor');
+const { getSchemaKey, getCollectionDepth, flattenCollectionTree } = require('../utils/collectionPaths');
+const { buildIdPartitions } = require('../utils/partitions');
+const { hashDocument, normalizeValue } = require('../utils/documentHash');
+const { diffDocuments } = require('../utils/documentDiff');
+const {
+  DOCUMENT_TIMESTAMP_FIELDS,
+  toMillis,
+  toIsoString,
+  getDocumentTimestamp,
+  getRangeQueryFormat,
+  toRangeQueryValue
+} = require('../utils/timestamps');
+const metrics = require('../utils/metrics');
 const { logger } = require('../utils/logger');
 const _ = require('lodash');
 
 class SyncService {
   constructor(socketIo) {
     this.io = socketIo;
+    
+    // Datastore adapters for both projects, chosen by DATASTORE_ADAPTER
+    const { main, backup } = getAdapters();
+    this.mainDb = main.db;
+    this.backupDb = backup.db;
+    this.healthMonitor = new HealthMonitor(this.getHealthProbes());
+    
     this.isMainDbOnline = true;
     this.isBackupDbOnline = true;
     this.syncStats = {
@@ -24,43 +69,86 @@ class SyncService {
       status: 'idle',
       lastFullSync: null,
       incrementalSyncs: 0,
-      duplicatesSkipped: 0
+      duplicatesSkipped: 0,
+      deletionsPropagated: 0,
+      conflictsQueued: 0,
+      collectionStats: {} // Per-collection results of the last sync, keyed by path
     };
-    this.collections = [];
+    this.collections = []; // Full paths of every collection and subcollection
+    this.collectionTree = []; // Nested view of the same collections
+    this.collectionTreeDiscoveredAt = null; // When the tree was last walked, syncs reuse it until the next refresh
+    this.subcollectionTemplates = new Set(); // Discovered subcollection templates, e.g. 'chats/{id}/messages'
     this.collectionsSchema = new Map(); // Track schema for each collection
+    this.watermarkFormats = new Map(); // Collection path -> { format, checkedFrom, checkedAt } from the last complete read
     this.isSyncing = false;
+    this.activeJob = null; // Job running the current operation, set by the JobManager
     this.lastSyncTimestamp = null;
-    this.syncMetadata = new Map(); // Track last sync timestamps per collection
+    this.checkpoints = new CheckpointStore(this.backupDb); // Durable sync watermarks per collection
+    this.syncState = new SyncStateStore(); // Last synced hash (and merge base) per document
+    this.conflictQueue = new ConflictQueue(); // Recovery conflicts waiting for an admin
+    this.conflictResolver = new ConflictResolver();
+    this.recoveryPending = false; // Set while main was offline and backup may hold newer documents
+    this.failoverStartedAt = null; // When main went down before a failover, set by the failover orchestrator
+    this.relinkedUids = new Map(); // Backup-only uid -> main uid of the same email, during auth recovery
+    this.relinkedReferences = []; // Recovered documents still pointing at a relinked backup uid
+    this.syncMode = syncMode;
+    this.isRealtimeActive = false;
+    this.realtimeListeners = new Map(); // Snapshot listener state per root collection or subcollection ID
+  }
+
+  // Job hooks, no-ops when an operation runs outside the JobManager
+  setJobPhase(phase) {
+    if (this.activeJob) {
+      this.activeJob.phase = phase;
+    }
+  }
+
+  recordJobError(collectionName, error) {
+    if (this.activeJob) {
+      this.activeJob.errors.push({ collection: collectionName, message: error.message, at: new Date().toISOString() });
+    }
+  }
+
+  // Cooperative cancellation point, called between collections, pages and batches
+  checkCancelled() {
+    if (this.activeJob && this.activeJob.cancelRequested) {
+      const error = new Error(`Job ${this.activeJob.id} cancelled`);
+      error.code = 'JOB_CANCELLED';
+      throw error;
+    }
+  }
+
+  // Restore persisted checkpoints, call before the first scheduled sync
+  async loadCheckpoints() {
+    await this.checkpoints.load();
+    this.emitStats();
   }
 
-  // Enhanced collection discovery with schema tracking
-  async discoverCollections() {
+  // Never sync against unloaded checkpoints, persisting them would wipe the saved watermarks
+  async ensureCheckpointsLoaded() {
+    if (!this.checkpoints.loaded) {
+      await this.loadCheckpoints();
+    }
+  }
+
+  // Collection discovery with schema tracking. The collection tree is walked on the first call and
+  // when refresh is set (the discovery schedule), syncs in between reuse it.
+  async discoverCollections({ refresh = false } = {}) {
     try {
-      logger.info('🔍 Discovering collections and analyzing schemas...');
-      
-      // Get collections from main database
-      const mainCollections = await mainDb.listCollections();
-      const newCollections = mainCollections.map(col => col.id);
-      
-      // Add known collections from schema if not present
-      const knownCollections = ['appointments', 'availability', 'chats', 'notifications', 'specialities', 'users'];
-      for (const collection of knownCollections) {
-        if (!newCollections.includes(collection)) {
-          newCollections.push(collection);
-        }
+      if (refresh || !this.collectionTreeDiscoveredAt) {
+        await this.refreshCollectionTree();
       }
 
-      // Check for new collections
-      const addedCollections = newCollections.filter(col => !this.collections.includes(col));
-      if (addedCollections.length > 0) {
-        logger.info(`🆕 Found ${addedCollections.length} new collections:`, addedCollections);
+      // Analyze schema once per collection, subcollections share one schema per template
+      const schemaSamples = new Map();
+      for (const collectionPath of this.collections) {
+        const schemaKey = getSchemaKey(collectionPath);
+        if (!schemaSamples.has(schemaKey)) {
+          schemaSamples.set(schemaKey, collectionPath);
+        }
       }
-
-      this.collections = newCollections;
-
-      // Analyze schema for each collection
-      for (const collectionName of this.collections) {
-        await this.analyzeCollectionSchema(collectionName);
+      for (const collectionPath of schemaSamples.values()) {
+        await this.analyzeCollectionSchema(collectionPath);
       }
 
       logger.info(`📋 Active collections: ${this.collections.length}`, this.collections);
@@ -74,34 +162,161 @@ class SyncService {
     }
   }
 
+  // Walk the collections and subcollections of the main database again
+  async refreshCollectionTree() {
+    logger.info('🔍 Discovering collections and analyzing schemas...');
+    
+    const tree = await this.discoverCollectionTree(this.mainDb);
+    
+    // Add known collections from schema if not present
+    const knownCollections = ['appointments', 'availability', 'chats', 'notifications', 'specialities', 'users'];
+    for (const collection of knownCollections) {
+      if (!tree.some(node => node.id === collection)) {
+        tree.push({ id: collection, path: collection, subcollections: [] });
+      }
+    }
+    
+    const newCollections = flattenCollectionTree(tree);
+
+    // Check for new collections
+    const addedCollections = newCollections.filter(col => !this.collections.includes(col));
+    if (addedCollections.length > 0) {
+      logger.info(`🆕 Found ${addedCollections.length} new collections:`, addedCollections);
+    }
+
+    this.collections = newCollections;
+    this.collectionTree = tree;
+    this.collectionTreeDiscoveredAt = new Date().toISOString();
+    this.subcollectionTemplates = new Set(newCollections.filter(col => col.includes('/')).map(getSchemaKey));
+    
+    // Keep streaming replication in step with newly discovered collections
+    if (this.isRealtimeActive) {
+      addedCollections.forEach(col => this.attachRealtimeListener(this.getRealtimeListenerKey(col)));
+    }
+  }
+
+  // Build the collection tree of a database, descending into document subcollections
+  async discoverCollectionTree(db) {
+    // Skip internal bookkeeping such as persisted checkpoints
+    const rootCollections = (await db.listCollections()).filter(path => path !== SYNC_META_COLLECTION);
+    
+    if (discoverSubcollections && subcollectionNames.length > 0) {
+      return this.discoverCollectionTreeByGroup(db, rootCollections);
+    }
+    
+    const tree = [];
+    for (const collectionPath of rootCollections) {
+      tree.push(await this.discoverCollectionNode(db, collectionPath, 1));
+    }
+    
+    return tree;
+  }
+
+  // One collection-group query per configured subcollection ID instead of one listCollections call
+  // per document; every instance found is nested under its parent collection
+  async discoverCollectionTreeByGroup(db, rootCollections) {
+    const nodes = new Map();
+    const addNode = (collectionPath) => {
+      if (!nodes.has(collectionPath)) {
+        const node = { id: collectionPath.split('/').pop(), path: collectionPath, subcollections: [] };
+        nodes.set(collectionPath, node);
+        if (collectionPath.includes('/')) {
+          addNode(collectionPath.split('/').slice(0, -2).join('/')).subcollections.push(node);
+        }
+      }
+      return nodes.get(collectionPath);
+    };
+    
+    rootCollections.forEach(addNode);
+    
+    for (const collectionId of subcollectionNames) {
+      try {
+        const paths = await db.listCollectionGroupPaths(collectionId);
+        paths
+          .filter(path => path.includes('/') && !path.startsWith(`${SYNC_META_COLLECTION}/`))
+          .filter(path => getCollectionDepth(path) <= subcollectionMaxDepth)
+          .forEach(addNode);
+      } catch (error) {
+        logger.error(`❌ Failed to discover ${collectionId} subcollections:`, error);
+      }
+    }
+    
+    return [...nodes.values()].filter(node => !node.path.includes('/'));
+  }
+
+  // Recursively discover subcollections below one collection
+  async discoverCollectionNode(db, collectionPath, depth) {
+    const node = {
+      id: collectionPath.split('/').pop(),
+      path: collectionPath,
+      subcollections: []
+    };
+    
+    if (!discoverSubcollections || depth > subcollectionMaxDepth) {
+      return node;
+    }
+    
+    try {
+      // Document IDs include parents that only exist because of their subcollections
+      const docIds = await db.listDocumentIds(collectionPath);
+      
+      for (const docId of docIds) {
+        const subcollectionPaths = await db.listCollections(`${collectionPath}/${docId}`);
+        for (const subcollectionPath of subcollectionPaths) {
+          node.subcollections.push(await this.discoverCollectionNode(db, subcollectionPath, depth + 1));
+        }
+      }
+    } catch (error) {
+      logger.error(`❌ Failed to discover subcollections of ${collectionPath}:`, error);
+    }
+    
+    return node;
+  }
+
+  // Collection paths present in a database, used by recovery to include backup-only subcollections
+  async discoverCollectionPaths(db) {
+    try {
+      return flattenCollectionTree(await this.discoverCollectionTree(db));
+    } catch (error) {
+      logger.error('❌ Failed to discover collection paths:', error);
+      return [];
+    }
+  }
+
+  // Schema for a collection path, subcollections resolve to their shared template
+  getCollectionSchema(collectionPath) {
+    return this.collectionsSchema.get(getSchemaKey(collectionPath));
+  }
+
   // Analyze and track schema changes for each collection
   async analyzeCollectionSchema(collectionName) {
     try {
       // Get a few sample documents to analyze schema
-      const snapshot = await mainDb.collection(collectionName).limit(5).get();
+      const { documents } = await this.mainDb.readPage(collectionName, { limit: 5 });
       const schema = new Set();
       
-      snapshot.forEach(doc => {
-        this.extractKeysFromObject(doc.data(), schema);
+      documents.forEach(doc => {
+        this.extractKeysFromObject(doc.data, schema);
       });
 
       const schemaArray = Array.from(schema);
-      const previousSchema = this.collectionsSchema.get(collectionName);
+      const schemaKey = getSchemaKey(collectionName);
+      const previousSchema = this.collectionsSchema.get(schemaKey);
       
       if (previousSchema) {
         const newKeys = schemaArray.filter(key => !previousSchema.includes(key));
         if (newKeys.length > 0) {
           logger.info(`🔧 Schema changes detected in ${collectionName}:`, newKeys);
           this.io.emit('schemaChange', {
-            collection: collectionName,
+            collection: schemaKey,
             newKeys,
             totalKeys: schemaArray.length
           });
         }
       }
 
-      this.collectionsSchema.set(collectionName, schemaArray);
-      logger.info(`📊 Schema for ${collectionName}: ${schemaArray.length} unique keys`);
+      this.collectionsSchema.set(schemaKey, schemaArray);
+      logger.info(`📊 Schema for ${schemaKey}: ${schemaArray.length} unique keys`);
       
     } catch (error) {
       logger.error(`❌ Failed to analyze schema for ${collectionName}:`, error);
@@ -120,32 +335,95 @@ class SyncService {
     }
   }
 
+  // Change detection for a collection: 'timestamp' when documents carry updatedAt, otherwise 'hash'.
+  // createdAt or chat-style timestamp fields never move on edits, so they cannot drive incremental runs.
+  async getChangeDetectionMethod(collectionName) {
+    const configured = getChangeDetection(collectionName);
+    if (configured !== 'auto') {
+      return configured;
+    }
+    
+    if (!this.getCollectionSchema(collectionName)) {
+      await this.analyzeCollectionSchema(collectionName);
+    }
+    const schema = this.getCollectionSchema(collectionName) || [];
+    return schema.includes('updatedAt') ? 'timestamp' : 'hash';
+  }
+
+  // Wrap a raw document with its normalized last-modified time
+  toSyncDocument(doc) {
+    const timestamp = getDocumentTimestamp(doc.data);
+    return {
+      id: doc.id,
+      data: doc.data,
+      updatedAt: timestamp.millis === null ? null : new Date(timestamp.millis).toISOString(),
+      timestamp
+    };
+  }
+
+  // Stream new/updated documents page by page, optionally limited to a document ID range.
+  // updatedAt is stored as ISO strings, console-formatted strings and Timestamps, which a
+  // Firestore range filter cannot compare correctly, so the watermark is applied here on
+  // normalized instants. Only with queryFormat, the format a complete read found on every
+  // document, does the watermark become an updatedAt range filter in the query.
+  // formats collects the updatedAt format of every document read.
+  async *readIncrementalPages(db, collectionName, lastSyncTime = null, range = {}, { queryFormat = null, formats = null } = {}) {
+    const watermark = toMillis(lastSyncTime);
+    const watermarkQuery = queryFormat && watermark !== null
+      ? { where: ['updatedAt', '>', toRangeQueryValue(watermark, queryFormat)], orderBy: 'updatedAt' }
+      : {};
+    
+    for await (const page of db.iteratePages(collectionName, { limit: readPageSize, ...range, ...watermarkQuery })) {
+      if (formats) {
+        page.forEach(doc => formats.add(getRangeQueryFormat(doc.data.updatedAt)));
+      }
+      const documents = page.map(doc => this.toSyncDocument(doc));
+      
+      const unparseable = documents.filter(doc => doc.timestamp.field && doc.timestamp.millis === null);
+      if (unparseable.length > 0) {
+        logger.warn(`⚠️ ${unparseable.length} documents in ${collectionName} have unparseable timestamps, syncing them unconditionally`);
+      }
+      
+      if (watermark === null) {
+        yield documents;
+        continue;
+      }
+      
+      // Documents without any timestamp cannot be detected as changed; unparseable ones always are
+      yield documents.filter(doc => doc.timestamp.field && (doc.timestamp.millis === null || doc.timestamp.millis > watermark));
+    }
+  }
+
+  // Format for an updatedAt range filter on this collection, null when the watermark is applied client-side.
+  // A check is trusted for one discovery interval, then a complete read checks the collection again.
+  getWatermarkFormat(collectionName) {
+    const check = this.watermarkFormats.get(collectionName);
+    if (!check || Date.now() - check.checkedAt > discoveryIntervalMinutes * 60000) {
+      return null;
+    }
+    return check.format;
+  }
+
+  // Where the next complete read has to start filtering from: documents written in another format
+  // while range queries ran were invisible to them, so re-read everything since the last check
+  getCompleteReadWatermark(collectionName, lastSyncTime) {
+    const check = this.watermarkFormats.get(collectionName);
+    if (!lastSyncTime || !check || !check.format || !check.checkedFrom) {
+      return lastSyncTime;
+    }
+    return toMillis(check.checkedFrom) < toMillis(lastSyncTime) ? check.checkedFrom : lastSyncTime;
+  }
+
   // Enhanced incremental sync - only sync new/updated documents
   async getIncrementalDocuments(db, collectionName, lastSyncTime = null) {
     try {
       logger.info(`📖 Getting documents from ${collectionName} since ${lastSyncTime || 'beginning'}`);
       
       const documents = [];
-      let query = db.collection(collectionName);
-      
-      // If we have a last sync time, only get documents updated after that
-      if (lastSyncTime) {
-        query = query.where('updatedAt', '>', lastSyncTime);
-        logger.info(`📅 Filtering by updatedAt > ${lastSyncTime}`);
+      for await (const page of this.readIncrementalPages(db, collectionName, lastSyncTime)) {
+        documents.push(...page);
       }
       
-      const snapshot = await query.get();
-      logger.info(`📊 Query returned ${snapshot.size} documents from ${collectionName}`);
-      
-      snapshot.forEach(doc => {
-        const data = doc.data();
-        documents.push({
-          id: doc.id,
-          data: data,
-          updatedAt: data.updatedAt || data.createdAt || new Date().toISOString()
-        });
-      });
-      
       logger.info(`📄 Processed ${documents.length} documents from ${collectionName}`);
       return documents;
     } catch (error) {
@@ -154,6 +432,57 @@ class SyncService {
     }
   }
 
+  // Reads of large collections are split into document ID ranges read in parallel
+  async planReadPartitions(db, collectionName) {
+    const documentCount = await db.count(collectionName);
+    if (documentCount <= partitionThreshold) {
+      return [{}];
+    }
+    
+    logger.info(`🧩 ${collectionName} has ${documentCount} documents, reading in ${partitionCount} partitions`);
+    return buildIdPartitions(partitionCount);
+  }
+
+  // Keep documents whose content hash differs from the last synced hash.
+  // Documents with no recorded hash (first run, lost state) are compared with the backup copy.
+  async filterChangedByHash(collectionName, documents) {
+    const changed = [];
+    const unknown = [];
+    
+    for (const doc of documents) {
+      const state = this.syncState.get(collectionName, doc.id);
+      if (!state) {
+        unknown.push(doc);
+      } else if (state.hash !== hashDocument(doc.data)) {
+        changed.push(doc);
+      }
+    }
+    
+    const matching = [];
+    for (let i = 0; i < unknown.length; i += 100) {
+      const batch = unknown.slice(i, i + 100);
+      const snapshots = await this.backupDb.getAll(collectionName, batch.map(doc => doc.id));
+      
+      snapshots.forEach((snapshot, index) => {
+        const doc = batch[index];
+        if (snapshot.exists && hashDocument(snapshot.data) === hashDocument(doc.data)) {
+          matching.push(doc);
+        } else {
+          changed.push(doc);
+        }
+      });
+    }
+    
+    // Already identical in backup, just start tracking them
+    this.recordSyncState(collectionName, matching);
+    
+    const unchanged = documents.length - changed.length;
+    this.syncStats.duplicatesSkipped += unchanged;
+    logger.info(`🔍 Hash check for ${collectionName}: ${documents.length} input, ${changed.length} changed, ${unchanged} unchanged`);
+    
+    return changed;
+  }
+
   // Check for and prevent duplicates
   async checkForDuplicates(targetDb, collectionName, documents) {
     try {
@@ -167,19 +496,23 @@ class SyncService {
         const docIds = batch.map(doc => doc.id);
         
         // Check which documents already exist
-        const docRefs = docIds.map(id => targetDb.collection(collectionName).doc(id));
-        const snapshots = await targetDb.getAll(...docRefs);
+        const snapshots = await targetDb.getAll(collectionName, docIds);
         
         snapshots.forEach((snapshot, index) => {
           if (snapshot.exists) {
-            const existingData = snapshot.data();
+            const existingData = snapshot.data;
             const newData = batch[index].data;
             
-            // Compare updatedAt timestamps
-            const existingTimestamp = existingData.updatedAt || existingData.createdAt;
-            const newTimestamp = newData.updatedAt || newData.createdAt;
+            // A soft-deleted copy must always be overwritten by the live document
+            if (existingData[SOFT_DELETE_FIELD] === true && newData[SOFT_DELETE_FIELD] !== true) {
+              return;
+            }
+            
+            // Compare normalized updatedAt timestamps
+            const existingTimestamp = getDocumentTimestamp(existingData).millis;
+            const newTimestamp = getDocumentTimestamp(newData).millis;
             
-            if (existingTimestamp && newTimestamp && existingTimestamp >= newTimestamp) {
+            if (existingTimestamp !== null && newTimestamp !== null && existingTimestamp >= newTimestamp) {
               existingDocs.add(batch[index].id);
             } else {
               duplicateCheck.set(batch[index].id, {
@@ -212,168 +545,645 @@ class SyncService {
 
   // Enhanced sync with incremental updates and duplicate prevention
   async syncCollectionToBackup(collectionName, incrementalOnly = true) {
+    const labels = { collection: metrics.collectionLabel(collectionName), direction: 'to_backup' };
+    const endTimer = metrics.collectionDuration.startTimer(labels);
     try {
       logger.info(`📋 Starting ${incrementalOnly ? 'incremental' : 'full'} sync for ${collectionName}...`);
       
-      const lastSyncTime = incrementalOnly ? this.syncMetadata.get(collectionName) : null;
-      logger.info(`📅 Last sync time for ${collectionName}: ${lastSyncTime || 'Never'}`);
+      // Hash detection has to look at every document, the watermark only applies to timestamps
+      const detectionMethod = await this.getChangeDetectionMethod(collectionName);
+      const lastSyncTime = incrementalOnly && detectionMethod === 'timestamp'
+        ? this.checkpoints.getWatermark(collectionName, 'sync')
+        : null;
+      logger.info(`📅 Last sync time for ${collectionName}: ${lastSyncTime || 'Never'} (detection: ${detectionMethod})`);
       
-      const documents = await this.getIncrementalDocuments(mainDb, collectionName, lastSyncTime);
-      logger.info(`📄 Found ${documents.length} documents to process in ${collectionName}`);
+      // Range queries need every document's updatedAt in one format, which only a complete read
+      // can show. A watermark query only returns what changed; with document ID ranges it would
+      // need composite indexes, so it runs unpartitioned.
+      const queryFormat = lastSyncTime ? this.getWatermarkFormat(collectionName) : null;
+      const readFrom = queryFormat ? lastSyncTime : this.getCompleteReadWatermark(collectionName, lastSyncTime);
+      const formats = queryFormat ? null : new Set();
+      const partitions = queryFormat
+        ? [{}]
+        : await this.planReadPartitions(this.mainDb, collectionName);
       
-      if (documents.length === 0) {
-        logger.info(`✅ No new documents to sync in ${collectionName}`);
-        return 0;
+      // A failing or cancelled partition stops the others at their next page; every partition
+      // settles before the error surfaces, so no writer outlives the run
+      const abort = { aborted: false };
+      const settled = await Promise.allSettled(partitions.map(range =>
+        this.syncPartitionToBackup(collectionName, readFrom, range, detectionMethod, abort, { queryFormat, formats })
+          .catch((error) => {
+            abort.aborted = true;
+            throw error;
+          })));
+      const failure = settled.find(outcome => outcome.status === 'rejected');
+      if (failure) {
+        throw failure.reason;
       }
+      const results = settled.map(outcome => outcome.value);
       
-      // Log sample document IDs
-      const sampleIds = documents.slice(0, 3).map(doc => doc.id);
-      logger.info(`📋 Sample document IDs: ${sampleIds.join(', ')}`);
-      
-      // Check for duplicates
-      const documentsToSync = await this.checkForDuplicates(backupDb, collectionName, documents);
-      logger.info(`📊 After duplicate check: ${documentsToSync.length} documents to sync in ${collectionName}`);
-      
-      if (documentsToSync.length === 0) {
-        logger.info(`✅ All documents in ${collectionName} are up to date`);
-        return 0;
+      // Track latest timestamp across partitions
+      let latestTimestamp = toIsoString(lastSyncTime);
+      for (const result of results) {
+        latestTimestamp = this.latestOf(latestTimestamp, result.latestTimestamp);
       }
       
-      // Perform batch writes with enhanced error handling
-      logger.info(`📝 Starting batch write for ${documentsToSync.length} documents in ${collectionName}`);
+      // Range queries start from the watermark this complete read leaves behind
+      if (formats) {
+        this.watermarkFormats.set(collectionName, {
+          format: formats.size === 1 ? [...formats][0] : null,
+          checkedFrom: latestTimestamp,
+          checkedAt: Date.now()
+        });
+      }
       
-      const batch = backupDb.batch();
-      let batchCount = 0;
-      let totalSynced = 0;
-      let latestTimestamp = lastSyncTime;
+      const totalRead = _.sumBy(results, 'read');
+      const totalSynced = _.sumBy(results, 'written');
       
-      for (const doc of documentsToSync) {
-        try {
-          const docRef = backupDb.collection(collectionName).doc(doc.id);
-          batch.set(docRef, doc.data, { merge: true });
-          batchCount++;
-          
-          // Track latest timestamp
-          if (doc.updatedAt && (!latestTimestamp || doc.updatedAt > latestTimestamp)) {
-            latestTimestamp = doc.updatedAt;
-          }
-          
-          // Commit batch every 450 operations (safe limit)
-          if (batchCount >= 450) {
-            logger.info(`📝 Committing batch of ${batchCount} documents for ${collectionName}`);
-            await batch.commit();
-            totalSynced += batchCount;
-            batchCount = 0;
-            
-            this.io.emit('syncProgress', {
-              collection: collectionName,
-              documentCount: totalSynced,
-              action: 'writing',
-              total: documentsToSync.length
-            });
-          }
-        } catch (error) {
-          logger.error(`❌ Failed to add document ${doc.id} to batch:`, error);
-          this.syncStats.errors++;
-        }
-      }
+      this.syncStats.collectionStats[collectionName] = {
+        detectionMethod,
+        documentsRead: totalRead,
+        documentsWritten: totalSynced,
+        lastSync: new Date().toISOString()
+      };
+      metrics.recordDocuments(collectionName, 'to_backup', { synced: totalSynced, skipped: totalRead - totalSynced });
       
-      // Commit remaining operations
-      if (batchCount > 0) {
-        logger.info(`📝 Committing final batch of ${batchCount} documents for ${collectionName}`);
-        await batch.commit();
-        totalSynced += batchCount;
+      if (totalRead === 0) {
+        logger.info(`✅ No new documents to sync in ${collectionName}`);
+        return 0;
       }
       
       // Update sync metadata
-      this.syncMetadata.set(collectionName, latestTimestamp);
+      await this.checkpoints.setWatermark(collectionName, 'sync', latestTimestamp);
       
-      logger.info(`✅ Successfully synced ${totalSynced} documents in ${collectionName}`);
+      logger.info(`✅ Successfully synced ${totalSynced} of ${totalRead} documents read in ${collectionName}`);
       
       // Verify the sync worked
-      logger.info(`🔍 Verifying sync for ${collectionName}...`);
-      const backupSnapshot = await backupDb.collection(collectionName).get();
-      logger.info(`📊 Backup DB now has ${backupSnapshot.size} documents in ${collectionName}`);
+      const backupCount = await this.backupDb.count(collectionName);
+      logger.info(`📊 Backup DB now has ${backupCount} documents in ${collectionName}`);
       
       return totalSynced;
     } catch (error) {
-      logger.error(`❌ Failed to sync ${collectionName}:`, error);
+      if (error.code !== 'JOB_CANCELLED') {
+        logger.error(`❌ Failed to sync ${collectionName}:`, error);
+        metrics.collectionFailuresTotal.inc(labels);
+      }
       throw error;
+    } finally {
+      endTimer();
+      this.syncState.flush(collectionName);
     }
   }
 
-  // Enhanced recovery with incremental updates
-  async syncCollectionToMain(collectionName, incrementalOnly = true) {
-    try {
-      logger.info(`🔄 Starting ${incrementalOnly ? 'incremental' : 'full'} recovery for ${collectionName}...`);
+  // Stream one document range of a collection through the duplicate check and write stages
+  // abort is shared by the partitions of one run, set when a sibling partition failed
+  async syncPartitionToBackup(collectionName, lastSyncTime, range = {}, detectionMethod = 'timestamp', abort = null, readOptions = {}) {
+    const result = { read: 0, written: 0, latestTimestamp: null };
+    
+    for await (const documents of this.readIncrementalPages(this.mainDb, collectionName, lastSyncTime, range, readOptions)) {
+      if (abort && abort.aborted) {
+        return result;
+      }
+      this.checkCancelled();
+      result.read += documents.length;
       
-      const lastSyncTime = incrementalOnly ? this.syncMetadata.get(`${collectionName}_recovery`) : null;
-      const documents = await this.getIncrementalDocuments(backupDb, collectionName, lastSyncTime);
+      const documentsToSync = detectionMethod === 'hash'
+        ? await this.filterChangedByHash(collectionName, documents)
+        : await this.checkForDuplicates(this.backupDb, collectionName, documents);
+      if (abort && abort.aborted) {
+        return result;
+      }
+      if (documentsToSync.length > 0) {
+        result.written += await this.writeDocumentsToBackup(collectionName, documentsToSync);
+      }
       
-      if (documents.length === 0) {
-        logger.info(`✅ No new documents to recover in ${collectionName}`);
+      for (const doc of documents) {
+        result.latestTimestamp = this.latestOf(result.latestTimestamp, doc.updatedAt);
+      }
+      
+      this.io.emit('syncProgress', {
+        collection: collectionName,
+        documentCount: result.written,
+        documentsRead: result.read,
+        action: 'writing'
+      });
+    }
+    
+    return result;
+  }
+
+  // Later of two normalized ISO watermarks, ignoring nulls
+  latestOf(current, candidate) {
+    if (!candidate) {
+      return current;
+    }
+    if (!current || toMillis(candidate) > toMillis(current)) {
+      return candidate;
+    }
+    return current;
+  }
+
+  // Write documents to backup in batches, shared by scheduled and real-time sync
+  // Documents flagged merge: false replace the backup copy entirely (integrity repairs)
+  async writeDocumentsToBackup(collectionName, documents) {
+    let batch = [];
+    let totalSynced = 0;
+    
+    for (const doc of documents) {
+      try {
+        // Clear any soft-delete marker left from an earlier deletion of this ID
+        batch.push({
+          type: 'set',
+          path: collectionName,
+          id: doc.id,
+          data: doc.data,
+          merge: doc.merge !== false,
+          deleteFields: [SOFT_DELETE_FIELD, 'deletedAt']
+        });
+        
+        // Commit batch every 450 operations (safe limit)
+        if (batch.length >= this.backupDb.maxBatchSize) {
+          this.checkCancelled();
+          logger.info(`📝 Committing batch of ${batch.length} documents for ${collectionName}`);
+          await this.backupDb.writeBatch(batch);
+          this.recordSyncState(collectionName, batch);
+          totalSynced += batch.length;
+          batch = [];
+          
+          this.io.emit('syncProgress', {
+            collection: collectionName,
+            documentCount: totalSynced,
+            action: 'writing',
+            total: documents.length
+          });
+        }
+      } catch (error) {
+        // A cancellation must stop the run, not drop into the final batch commit below
+        if (error.code === 'JOB_CANCELLED') {
+          throw error;
+        }
+        logger.error(`❌ Failed to add document ${doc.id} to batch:`, error);
+        this.syncStats.errors++;
+        metrics.recordDocuments(collectionName, 'to_backup', { errored: 1 });
+      }
+    }
+    
+    // Commit remaining operations
+    if (batch.length > 0) {
+      logger.info(`📝 Committing final batch of ${batch.length} documents for ${collectionName}`);
+      await this.backupDb.writeBatch(batch);
+      this.recordSyncState(collectionName, batch);
+      totalSynced += batch.length;
+    }
+    
+    return totalSynced;
+  }
+
+  // Remember the version both sides agreed on, so recovery can tell one-sided edits from conflicts
+  // Kept in memory; the collection run flushes it to disk once it finishes
+  recordSyncState(collectionName, documents) {
+    const keepBase = getConflictPolicy(collectionName) === 'three-way-merge';
+    this.syncState.record(collectionName, documents.map(doc => ({
+      id: doc.id,
+      hash: hashDocument(doc.data),
+      base: keepBase ? doc.data : undefined
+    })));
+  }
+
+  // Propagate documents removed from main to backup using the collection's deletion policy
+  async propagateDeletions(collectionName) {
+    const policy = getDeletionPolicy(collectionName);
+    if (policy === 'keep') {
+      return 0;
+    }
+    
+    // Documents created on backup during an outage are not deletions, wait for recovery first
+    if (this.recoveryPending) {
+      logger.info(`⏸️ Recovery pending, skipping deletion propagation for ${collectionName}`);
+      return 0;
+    }
+    
+    try {
+      // Compare ID sets only, no need to transfer document contents
+      const [mainDocuments, backupDocuments] = await Promise.all([
+        this.mainDb.readAll(collectionName, { fields: [] }),
+        this.backupDb.readAll(collectionName, { fields: [SOFT_DELETE_FIELD] })
+      ]);
+      
+      // An empty main next to a populated backup looks like an outage or a wipe, not a deletion
+      if (mainDocuments.length === 0 && backupDocuments.length > 0) {
+        logger.warn(`⚠️ Main ${collectionName} is empty but backup has ${backupDocuments.length} documents, skipping deletion propagation`);
         return 0;
       }
       
-      // Check for duplicates
-      const documentsToRecover = await this.checkForDuplicates(mainDb, collectionName, documents);
+      const mainIds = new Set(mainDocuments.map(doc => doc.id));
+      const removedDocs = backupDocuments.filter(doc => {
+        if (mainIds.has(doc.id)) {
+          return false;
+        }
+        // Already archived on a previous run
+        return !(policy === 'soft-delete' && doc.data[SOFT_DELETE_FIELD] === true);
+      });
       
-      if (documentsToRecover.length === 0) {
-        logger.info(`✅ All documents in ${collectionName} are up to date`);
+      if (removedDocs.length === 0) {
         return 0;
       }
       
-      const batch = mainDb.batch();
-      let batchCount = 0;
-      let totalRecovered = 0;
-      let latestTimestamp = lastSyncTime;
+      logger.info(`🗑️ Propagating ${removedDocs.length} deletions in ${collectionName} (policy: ${policy})`);
+      const totalDeleted = await this.applyDeletionPolicy(collectionName, removedDocs.map(doc => doc.id), policy);
       
-      for (const doc of documentsToRecover) {
-        try {
-          const docRef = mainDb.collection(collectionName).doc(doc.id);
-          batch.set(docRef, doc.data, { merge: true });
-          batchCount++;
-          
-          if (doc.updatedAt && (!latestTimestamp || doc.updatedAt > latestTimestamp)) {
-            latestTimestamp = doc.updatedAt;
-          }
+      logger.info(`✅ Propagated ${totalDeleted} deletions in ${collectionName}`);
+      
+      return totalDeleted;
+    } catch (error) {
+      logger.error(`❌ Failed to propagate deletions for ${collectionName}:`, error);
+      throw error;
+    }
+  }
+
+  // Delete or archive backup documents according to a deletion policy
+  async applyDeletionPolicy(collectionName, docIds, policy = getDeletionPolicy(collectionName)) {
+    if (policy === 'keep' || docIds.length === 0) {
+      return 0;
+    }
+    
+    const deletedAt = new Date().toISOString();
+    let totalDeleted = 0;
+    
+    for (let i = 0; i < docIds.length; i += this.backupDb.maxBatchSize) {
+      const chunk = docIds.slice(i, i + this.backupDb.maxBatchSize);
+      
+      await this.backupDb.writeBatch(chunk.map(id => (policy === 'soft-delete'
+        ? { type: 'set', path: collectionName, id, data: { [SOFT_DELETE_FIELD]: true, deletedAt }, merge: true }
+        : { type: 'delete', path: collectionName, id })));
+      totalDeleted += chunk.length;
+    }
+    
+    if (policy === 'delete') {
+      this.syncState.remove(collectionName, docIds);
+      this.syncState.flush(collectionName);
+    }
+    
+    this.syncStats.deletionsPropagated = (this.syncStats.deletionsPropagated || 0) + totalDeleted;
+    return totalDeleted;
+  }
+
+  // Write recovered documents to main in batches
+  // Documents flagged merge: false (e.g. three-way merge results) replace main's copy entirely
+  async writeDocumentsToMain(collectionName, documents) {
+    let batch = [];
+    let totalRecovered = 0;
+    
+    for (const doc of documents) {
+      try {
+        batch.push({ type: 'set', path: collectionName, id: doc.id, data: doc.data, merge: doc.merge !== false });
+        
+        if (batch.length >= this.mainDb.maxBatchSize) {
+          this.checkCancelled();
+          await this.mainDb.writeBatch(batch);
+          this.recordSyncState(collectionName, batch);
+          totalRecovered += batch.length;
+          batch = [];
           
-          if (batchCount >= 450) {
-            await batch.commit();
-            totalRecovered += batchCount;
-            batchCount = 0;
-            
-            this.io.emit('recoveryProgress', {
-              collection: collectionName,
-              documentCount: totalRecovered,
-              action: 'recovering',
-              total: documentsToRecover.length
-            });
-          }
-        } catch (error) {
-          logger.error(`❌ Failed to add document ${doc.id} to recovery batch:`, error);
-          this.syncStats.errors++;
+          this.io.emit('recoveryProgress', {
+            collection: collectionName,
+            documentCount: totalRecovered,
+            action: 'recovering',
+            total: documents.length
+          });
         }
+      } catch (error) {
+        // A cancellation must stop the run, not drop into the final batch commit below
+        if (error.code === 'JOB_CANCELLED') {
+          throw error;
+        }
+        logger.error(`❌ Failed to add document ${doc.id} to recovery batch:`, error);
+        this.syncStats.errors++;
+        metrics.recordDocuments(collectionName, 'to_main', { errored: 1 });
       }
+    }
+    
+    if (batch.length > 0) {
+      await this.mainDb.writeBatch(batch);
+      this.recordSyncState(collectionName, batch);
+      totalRecovered += batch.length;
+    }
+    
+    return totalRecovered;
+  }
+
+  // Collections to recover: everything known from main plus subcollections that only exist in backup
+  async getRecoveryCollections() {
+    const backupPaths = await this.discoverCollectionPaths(this.backupDb);
+    return _.union(this.collections, backupPaths);
+  }
+
+  // Enhanced recovery with incremental updates
+  async syncCollectionToMain(collectionName, incrementalOnly = true) {
+    const labels = { collection: metrics.collectionLabel(collectionName), direction: 'to_main' };
+    const endTimer = metrics.collectionDuration.startTimer(labels);
+    try {
+      logger.info(`🔄 Starting ${incrementalOnly ? 'incremental' : 'full'} recovery for ${collectionName}...`);
       
-      if (batchCount > 0) {
-        await batch.commit();
-        totalRecovered += batchCount;
+      const detectionMethod = await this.getChangeDetectionMethod(collectionName);
+      const lastSyncTime = incrementalOnly && detectionMethod === 'timestamp'
+        ? this.checkpoints.getWatermark(collectionName, 'recovery')
+        : null;
+      let totalRead = 0;
+      let totalRecovered = 0;
+      let latestTimestamp = toIsoString(lastSyncTime);
+      
+      for await (const page of this.readIncrementalPages(this.backupDb, collectionName, lastSyncTime)) {
+        this.checkCancelled();
+        totalRead += page.length;
+        
+        // Soft-deleted copies were removed from main on purpose, never resurrect them; users
+        // documents of relinked accounts belong to the main account and would be orphans in main
+        const documents = page.filter(doc => doc.data[SOFT_DELETE_FIELD] !== true
+          && !(collectionName === 'users' && this.relinkedUids.has(doc.id)));
+        this.collectRelinkedReferences(collectionName, documents);
+        
+        totalRecovered += await this.recoverPageToMain(collectionName, documents);
+        
+        this.io.emit('recoveryProgress', {
+          collection: collectionName,
+          documentCount: totalRecovered,
+          documentsRead: totalRead,
+          action: 'recovering'
+        });
+        
+        for (const doc of documents) {
+          latestTimestamp = this.latestOf(latestTimestamp, doc.updatedAt);
+        }
+      }
+      metrics.recordDocuments(collectionName, 'to_main', { synced: totalRecovered, skipped: totalRead - totalRecovered });
+      
+      if (totalRead === 0) {
+        logger.info(`✅ No new documents to recover in ${collectionName}`);
+        return 0;
       }
       
       // Update recovery metadata
-      this.syncMetadata.set(`${collectionName}_recovery`, latestTimestamp);
+      await this.checkpoints.setWatermark(collectionName, 'recovery', latestTimestamp);
       
       logger.info(`✅ Successfully recovered ${totalRecovered} documents in ${collectionName}`);
       return totalRecovered;
     } catch (error) {
-      logger.error(`❌ Failed to recover ${collectionName}:`, error);
+      if (error.code !== 'JOB_CANCELLED') {
+        logger.error(`❌ Failed to recover ${collectionName}:`, error);
+        metrics.collectionFailuresTotal.inc(labels);
+      }
       throw error;
+    } finally {
+      endTimer();
+      this.syncState.flush(collectionName);
+    }
+  }
+
+  // Note recovered documents whose top-level fields (or arrays in them) hold a relinked backup uid,
+  // they keep pointing at an account main does not have
+  collectRelinkedReferences(collectionName, documents) {
+    if (this.relinkedUids.size === 0) {
+      return;
+    }
+
+    for (const doc of documents) {
+      Object.entries(doc.data).forEach(([field, value]) => {
+        const values = Array.isArray(value) ? value : [value];
+        values
+          .filter(item => typeof item === 'string' && this.relinkedUids.has(item))
+          .forEach(uid => this.relinkedReferences.push({
+            collection: collectionName,
+            documentId: doc.id,
+            field,
+            uid,
+            mainUid: this.relinkedUids.get(uid)
+          }));
+      });
+    }
+  }
+
+  // Compare a page of backup documents with main and apply the collection's conflict policy
+  async recoverPageToMain(collectionName, documents) {
+    const toMain = [];
+    const mergedDocs = [];
+    const deletedInMain = [];
+    let skipped = 0;
+    let queued = 0;
+    
+    for (let i = 0; i < documents.length; i += 100) {
+      const chunk = documents.slice(i, i + 100);
+      const snapshots = await this.mainDb.getAll(collectionName, chunk.map(doc => doc.id));
+      
+      snapshots.forEach((snapshot, index) => {
+        const doc = chunk[index];
+        const state = this.syncState.get(collectionName, doc.id);
+        // A soft-deleted copy in main is stale, treat it like a missing document
+        const main = snapshot.exists && snapshot.data[SOFT_DELETE_FIELD] !== true ? snapshot.data : null;
+        const decision = this.conflictResolver.resolve(collectionName, { main, backup: doc.data, state });
+        
+        if (decision.action === 'write') {
+          toMain.push({ id: doc.id, data: decision.data, merge: decision.merge });
+          if (decision.mergedBothSides) {
+            mergedDocs.push({ id: doc.id, data: decision.data });
+          }
+        } else if (decision.action === 'delete') {
+          deletedInMain.push(doc.id);
+        } else if (decision.action === 'queue') {
+          this.conflictQueue.enqueue({
+            collection: collectionName,
+            documentId: doc.id,
+            policy: decision.policy,
+            reason: decision.reason,
+            main,
+            backup: doc.data,
+            base: state ? state.base : null,
+            conflictingFields: decision.conflictingFields
+          });
+          queued++;
+        } else {
+          skipped++;
+        }
+      });
+    }
+    
+    if (queued > 0) {
+      logger.warn(`⚔️ Queued ${queued} conflicts in ${collectionName} for manual resolution`);
+      this.syncStats.conflictsQueued = (this.syncStats.conflictsQueued || 0) + queued;
+      metrics.conflictsTotal.inc({ collection: metrics.collectionLabel(collectionName) }, queued);
+    }
+    this.syncStats.duplicatesSkipped += skipped;
+    
+    const recovered = toMain.length > 0 ? await this.writeDocumentsToMain(collectionName, toMain) : 0;
+    
+    // Deletions made in main that never reached backup are applied now instead of undone
+    if (deletedInMain.length > 0) {
+      logger.info(`🗑️ ${deletedInMain.length} documents in ${collectionName} were deleted in main, not recovering them`);
+      this.syncStats.duplicatesSkipped += deletedInMain.length;
+      await this.applyDeletionPolicy(collectionName, deletedInMain);
+    }
+    
+    // Merge results replace the backup copy too, so both sides end on the same version
+    if (mergedDocs.length > 0) {
+      await this.backupDb.writeBatch(mergedDocs.map(doc => ({
+        type: 'set', path: collectionName, id: doc.id, data: doc.data, merge: false
+      })));
+    }
+    
+    return recovered;
+  }
+
+  // Settle a queued conflict with main's version, backup's version or custom data
+  async resolveConflict(conflictId, resolution, customData) {
+    const conflict = this.conflictQueue.get(conflictId);
+    if (!conflict) {
+      throw new Error(`Conflict ${conflictId} not found`);
+    }
+    if (conflict.status !== 'open') {
+      throw new Error(`Conflict ${conflictId} is already ${conflict.status}`);
+    }
+    
+    const { collection, documentId } = conflict;
+    let data;
+    if (resolution === 'custom') {
+      data = customData;
+    } else {
+      // Use the current version rather than the queued snapshot, it may have moved on since
+      const sourceDb = resolution === 'main' ? this.mainDb : this.backupDb;
+      const snapshot = await sourceDb.getDocument(collection, documentId);
+      data = snapshot.exists ? snapshot.data : null;
+    }
+    
+    if (!data) {
+      throw new Error(`No ${resolution} version of ${collection}/${documentId} to resolve with`);
+    }
+    
+    const op = { type: 'set', path: collection, id: documentId, data, merge: false };
+    if (resolution !== 'main') {
+      await this.mainDb.writeBatch([op]);
     }
+    if (resolution !== 'backup') {
+      await this.backupDb.writeBatch([op]);
+    }
+    this.recordSyncState(collection, [{ id: documentId, data }]);
+    this.syncState.flush(collection);
+    
+    logger.info(`⚖️ Resolved conflict ${conflictId} on ${collection}/${documentId} with ${resolution}`);
+    return this.conflictQueue.markResolved(conflictId, resolution);
+  }
+
+  // Both versions of one document with a field-level diff and its sync metadata
+  async inspectDocument(collectionName, documentId) {
+    const [main, backup] = await Promise.all([
+      this.mainDb.getDocument(collectionName, documentId),
+      this.backupDb.getDocument(collectionName, documentId)
+    ]);
+    
+    const describe = snapshot => (snapshot.exists
+      ? {
+        exists: true,
+        data: normalizeValue(snapshot.data),
+        hash: hashDocument(snapshot.data),
+        updatedAt: toIsoString(getDocumentTimestamp(snapshot.data).raw),
+        softDeleted: snapshot.data[SOFT_DELETE_FIELD] === true
+      }
+      : { exists: false, data: null, hash: null, updatedAt: null, softDeleted: false });
+    
+    const mainVersion = describe(main);
+    const backupVersion = describe(backup);
+    const state = this.syncState.get(collectionName, documentId);
+    
+    return {
+      collection: collectionName,
+      id: documentId,
+      main: mainVersion,
+      backup: backupVersion,
+      inSync: mainVersion.hash === backupVersion.hash,
+      diff: main.exists && backup.exists ? diffDocuments(main.data, backup.data) : [],
+      metadata: {
+        checkpoint: this.checkpoints.get(collectionName),
+        syncState: state ? { hash: state.hash, syncedAt: state.syncedAt, hasBase: !!state.base } : null,
+        changedInMain: state ? mainVersion.hash !== state.hash : null,
+        changedInBackup: state ? backupVersion.hash !== state.hash : null,
+        conflictPolicy: getConflictPolicy(collectionName),
+        deletionPolicy: getDeletionPolicy(collectionName),
+        conflicts: this.conflictQueue.list({ collection: collectionName })
+          .filter(conflict => conflict.documentId === documentId)
+          .map(({ id, status, reason, detectedAt, resolvedAt }) => ({ id, status, reason, detectedAt, resolvedAt }))
+      }
+    };
+  }
+
+  // Copy one document across using the regular sync (to backup) or recovery (to main) write path
+  async pushDocument(collectionName, documentId, target) {
+    const sourceDb = target === 'main' ? this.backupDb : this.mainDb;
+    const snapshot = await sourceDb.getDocument(collectionName, documentId);
+    if (!snapshot.exists) {
+      throw new Error(`${collectionName}/${documentId} does not exist in ${sourceDb.name}`);
+    }
+    
+    const documents = [{ id: documentId, data: snapshot.data }];
+    const written = target === 'main'
+      ? await this.writeDocumentsToMain(collectionName, documents)
+      : await this.writeDocumentsToBackup(collectionName, documents);
+    this.syncState.flush(collectionName);
+    
+    logger.info(`📤 Pushed ${collectionName}/${documentId} from ${sourceDb.name} to ${target}`);
+    return written;
+  }
+
+  // List documents whose timestamp fields are present but cannot be parsed
+  async findUnparseableTimestamps(target = 'main', limitPerCollection = 100) {
+    const db = target === 'backup' ? this.backupDb : this.mainDb;
+    const report = {
+      target,
+      collections: {},
+      totalUnparseable: 0,
+      timestamp: new Date().toISOString()
+    };
+    
+    for (const collectionName of this.collections) {
+      try {
+        const documents = [];
+        let count = 0;
+        
+        for await (const page of db.iteratePages(collectionName, { limit: readPageSize })) {
+          for (const doc of page) {
+            const fields = DOCUMENT_TIMESTAMP_FIELDS
+              .filter(field => doc.data[field] !== undefined && doc.data[field] !== null)
+              .filter(field => toMillis(doc.data[field]) === null);
+            
+            if (fields.length === 0) {
+              continue;
+            }
+            count++;
+            if (documents.length < limitPerCollection) {
+              documents.push({
+                documentId: doc.id,
+                fields: fields.map(field => ({ field, value: doc.data[field] }))
+              });
+            }
+          }
+        }
+        
+        if (count > 0) {
+          report.collections[collectionName] = { count, documents };
+          report.totalUnparseable += count;
+        }
+      } catch (error) {
+        logger.error(`❌ Failed to scan timestamps in ${collectionName}:`, error);
+        report.collections[collectionName] = { error: error.message };
+      }
+    }
+    
+    logger.info(`🕒 Timestamp scan of ${target}: ${report.totalUnparseable} documents with unparseable timestamps`);
+    return report;
   }
 
   // Data integrity check
-  async performDataIntegrityCheck() {
+  // options: { repair: act on the issues found, maxActions: cap on repaired documents }
+  async performDataIntegrityCheck({ repair = false, maxActions = integrityRepairMaxActions } = {}) {
+    const endTimer = metrics.runDuration.startTimer({ type: 'integrity-check' });
     try {
       logger.info('🔍 Performing data integrity check...');
       
@@ -382,29 +1192,47 @@ class SyncService {
         totalIssues: 0,
         timestamp: new Date().toISOString()
       };
+      const issueCounts = [];
       
-      for (const collectionName of this.collections) {
+      // Include subcollection paths that only exist in backup so they are reported too
+      const integrityCollections = await this.getRecoveryCollections();
+      
+      for (const collectionName of integrityCollections) {
         try {
-          const mainSnapshot = await mainDb.collection(collectionName).get();
-          const backupSnapshot = await backupDb.collection(collectionName).get();
+          const mainDocuments = await this.mainDb.readAll(collectionName);
+          const backupDocuments = await this.backupDb.readAll(collectionName);
           
           const mainDocs = new Map();
           const backupDocs = new Map();
           
-          mainSnapshot.forEach(doc => {
-            mainDocs.set(doc.id, doc.data());
+          mainDocuments.forEach(doc => {
+            mainDocs.set(doc.id, doc.data);
           });
           
-          backupSnapshot.forEach(doc => {
-            backupDocs.set(doc.id, doc.data());
+          backupDocuments.forEach(doc => {
+            // Soft-deleted documents are expected to be missing from main
+            if (doc.data[SOFT_DELETE_FIELD] !== true) {
+              backupDocs.set(doc.id, doc.data);
+            }
           });
           
           const issues = [];
+          const ignoreFields = getIntegrityIgnoreFields(collectionName);
+          let contentMismatches = 0;
           
-          // Check for missing documents in backup
-          for (const [id] of mainDocs) {
+          // Check for missing documents in backup, and for stale content in the ones present
+          for (const [id, mainData] of mainDocs) {
             if (!backupDocs.has(id)) {
               issues.push({ type: 'missing_in_backup', documentId: id });
+              continue;
+            }
+            
+            // Cheap hash comparison first, field diff only for the documents that differ
+            const backupData = backupDocs.get(id);
+            if (hashDocument(mainData, ignoreFields) !== hashDocument(backupData, ignoreFields)) {
+              const diff = diffDocuments(_.omit(mainData, ignoreFields), _.omit(backupData, ignoreFields));
+              issues.push({ type: 'content_mismatch', documentId: id, fields: diff.map(change => change.path) });
+              contentMismatches++;
             }
           }
           
@@ -418,11 +1246,14 @@ class SyncService {
           integrityReport.collections[collectionName] = {
             mainCount: mainDocs.size,
             backupCount: backupDocs.size,
+            contentMismatches,
+            ignoredFields: ignoreFields,
             issues: issues.length,
             issueDetails: issues
           };
           
           integrityReport.totalIssues += issues.length;
+          issueCounts.push([collectionName, issues.length]);
           
         } catch (error) {
           logger.error(`❌ Failed integrity check for ${collectionName}:`, error);
@@ -433,15 +1264,118 @@ class SyncService {
       }
       
       logger.info(`🔍 Integrity check completed: ${integrityReport.totalIssues} issues found`);
+      
+      // Subcollections share a label, so rebuild the gauge from this run's totals
+      metrics.integrityIssues.reset();
+      issueCounts.forEach(([collectionName, count]) =>
+        metrics.integrityIssues.inc({ collection: metrics.collectionLabel(collectionName) }, count));
+      
+      if (repair && integrityReport.totalIssues > 0) {
+        integrityReport.repair = await this.repairIntegrityIssues(integrityReport, maxActions);
+        this.io.emit('integrityRepair', integrityReport.repair);
+      }
+      
       this.io.emit('integrityReport', integrityReport);
+      endTimer({ status: 'completed' });
       
       return integrityReport;
     } catch (error) {
       logger.error('❌ Data integrity check failed:', error);
+      endTimer({ status: 'failed' });
       throw error;
     }
   }
 
+  // Fix the issues of an integrity report, at most maxActions documents per run
+  // missing_in_backup and content_mismatch are re-copied from main, missing_in_main follows
+  // INTEGRITY_MISSING_IN_MAIN_POLICY. Documents are re-read, so anything fixed since the check is left alone.
+  async repairIntegrityIssues(report, maxActions = integrityRepairMaxActions) {
+    const repair = {
+      maxActions,
+      actions: 0,
+      limitReached: false,
+      missingInMainPolicy,
+      collections: {},
+      errors: 0,
+      timestamp: new Date().toISOString()
+    };
+    
+    logger.info(`🔧 Repairing ${report.totalIssues} integrity issues (max ${maxActions} actions)...`);
+    
+    for (const [collectionName, result] of Object.entries(report.collections)) {
+      if (!result.issueDetails || result.issueDetails.length === 0) {
+        continue;
+      }
+      
+      const counts = { copiedToBackup: 0, resynced: 0, copiedToMain: 0, deletedFromBackup: 0, skipped: 0 };
+      repair.collections[collectionName] = counts;
+      
+      // Take issues up to the remaining action budget
+      const issues = [];
+      for (const issue of result.issueDetails) {
+        const actionable = issue.type !== 'missing_in_main' || missingInMainPolicy !== 'report';
+        // Backup may hold the newer version until recovery has run
+        const deferred = this.recoveryPending && issue.type !== 'missing_in_backup';
+        
+        if (!actionable || deferred) {
+          counts.skipped++;
+        } else if (repair.actions + issues.length >= maxActions) {
+          repair.limitReached = true;
+          counts.skipped++;
+        } else {
+          issues.push(issue);
+        }
+      }
+      
+      try {
+        const idsOf = type => issues.filter(issue => issue.type === type).map(issue => issue.documentId);
+        
+        // Main is the source of truth for documents it has
+        const toBackup = [...idsOf('missing_in_backup'), ...idsOf('content_mismatch')];
+        if (toBackup.length > 0) {
+          const mismatched = new Set(idsOf('content_mismatch'));
+          const snapshots = await this.mainDb.getAll(collectionName, toBackup);
+          const documents = snapshots
+            .filter(snapshot => snapshot.exists)
+            .map(snapshot => ({ id: snapshot.id, data: snapshot.data, merge: !mismatched.has(snapshot.id) }));
+          
+          await this.writeDocumentsToBackup(collectionName, documents);
+          documents.forEach(doc => (mismatched.has(doc.id) ? counts.resynced++ : counts.copiedToBackup++));
+          counts.skipped += toBackup.length - documents.length;
+          repair.actions += documents.length;
+        }
+        
+        const onlyInBackup = idsOf('missing_in_main');
+        if (onlyInBackup.length > 0 && missingInMainPolicy === 'copy-to-main') {
+          const snapshots = await this.backupDb.getAll(collectionName, onlyInBackup);
+          const documents = snapshots
+            .filter(snapshot => snapshot.exists && snapshot.data[SOFT_DELETE_FIELD] !== true)
+            .map(snapshot => ({ id: snapshot.id, data: snapshot.data }));
+          
+          counts.copiedToMain = await this.writeDocumentsToMain(collectionName, documents);
+          counts.skipped += onlyInBackup.length - documents.length;
+          repair.actions += documents.length;
+        } else if (onlyInBackup.length > 0 && missingInMainPolicy === 'delete-from-backup') {
+          // Skip anything that reappeared in main since the check
+          const snapshots = await this.mainDb.getAll(collectionName, onlyInBackup);
+          const removedIds = snapshots.filter(snapshot => !snapshot.exists).map(snapshot => snapshot.id);
+          
+          counts.deletedFromBackup = await this.applyDeletionPolicy(collectionName, removedIds);
+          counts.skipped += onlyInBackup.length - counts.deletedFromBackup;
+          repair.actions += counts.deletedFromBackup;
+        }
+      } catch (error) {
+        logger.error(`❌ Failed to repair ${collectionName}:`, error);
+        counts.error = error.message;
+        repair.errors++;
+      }
+      this.syncState.flush(collectionName);
+    }
+    
+    logger.info(`🔧 Integrity repair completed: ${repair.actions} actions${repair.limitReached ? ' (limit reached)' : ''}`);
+    return repair;
+  }
+
   // Enhanced main sync process with all improvements
   async performFullSync() {
     if (this.isSyncing) {
@@ -457,10 +1391,12 @@ class SyncService {
       logger.info('🔄 Starting Firestore sync...');
       
       // Check database health
+      this.setJobPhase('health-check');
       await this.checkDatabaseHealth();
       
       if (!this.isMainDbOnline) {
         logger.warn('⚠️ Main database is offline, skipping sync');
+        this.recoveryPending = true;
         this.syncStats.status = 'paused';
         this.emitStats();
         return;
@@ -474,9 +1410,13 @@ class SyncService {
         return;
       }
       
+      await this.ensureCheckpointsLoaded();
+      
       // Discover collections and analyze schemas
       logger.info('📋 Discovering collections for sync...');
+      this.setJobPhase('discovering');
       await this.discoverCollections();
+      this.setJobPhase('syncing-firestore');
       
       let totalSynced = 0;
       const isFirstSync = !this.syncStats.lastFullSync;
@@ -485,21 +1425,29 @@ class SyncService {
       
       // Sync each collection
       for (const collectionName of this.collections) {
+        this.checkCancelled();
         try {
           logger.info(`🔄 Starting sync for collection: ${collectionName}`);
           const syncedCount = await this.syncCollectionToBackup(collectionName, !isFirstSync);
+          const deletedCount = await this.propagateDeletions(collectionName);
           totalSynced += syncedCount;
           
-          logger.info(`✅ Completed sync for ${collectionName}: ${syncedCount} documents`);
+          logger.info(`✅ Completed sync for ${collectionName}: ${syncedCount} documents, ${deletedCount} deletions`);
           
           this.io.emit('collectionSynced', {
             collection: collectionName,
             documentCount: syncedCount,
+            deletedCount,
+            detectionMethod: (this.syncStats.collectionStats[collectionName] || {}).detectionMethod || null,
             timestamp: new Date().toISOString(),
             incremental: !isFirstSync
           });
         } catch (error) {
+          if (error.code === 'JOB_CANCELLED') {
+            throw error;
+          }
           logger.error(`❌ Failed to sync collection ${collectionName}:`, error);
+          this.recordJobError(collectionName, error);
           this.syncStats.errors++;
         }
       }
@@ -507,6 +1455,7 @@ class SyncService {
       // Perform periodic integrity check
       if (this.syncStats.incrementalSyncs % 10 === 0) {
         logger.info('🔍 Performing integrity check...');
+        this.setJobPhase('integrity-check');
         await this.performDataIntegrityCheck();
       }
       
@@ -521,6 +1470,11 @@ class SyncService {
       logger.info(`🎉 Firestore sync completed! Total synced: ${totalSynced} documents across ${this.collections.length} collections`);
       
     } catch (error) {
+      if (error.code === 'JOB_CANCELLED') {
+        logger.warn('⏹️ Firestore sync cancelled');
+        this.syncStats.status = 'cancelled';
+        throw error;
+      }
       logger.error('❌ Firestore sync failed:', error);
       this.syncStats.status = 'error';
       this.syncStats.errors++;
@@ -548,33 +1502,51 @@ class SyncService {
         return;
       }
       
+      await this.ensureCheckpointsLoaded();
+      
       let totalRecovered = 0;
+      const recoveryCollections = await this.getRecoveryCollections();
+      this.setJobPhase('recovering');
       
       // Recover each collection incrementally
-      for (const collectionName of this.collections) {
+      for (const collectionName of recoveryCollections) {
+        this.checkCancelled();
         try {
+          const conflictsBefore = this.syncStats.conflictsQueued || 0;
           const recoveredCount = await this.syncCollectionToMain(collectionName, true);
           totalRecovered += recoveredCount;
           
           this.io.emit('collectionRecovered', {
             collection: collectionName,
             documentCount: recoveredCount,
+            conflictCount: (this.syncStats.conflictsQueued || 0) - conflictsBefore,
             timestamp: new Date().toISOString()
           });
         } catch (error) {
+          if (error.code === 'JOB_CANCELLED') {
+            throw error;
+          }
           logger.error(`❌ Failed to recover collection ${collectionName}:`, error);
+          this.recordJobError(collectionName, error);
           this.syncStats.errors++;
         }
       }
       
       // Perform integrity check after recovery
+      this.setJobPhase('integrity-check');
       await this.performDataIntegrityCheck();
       
+      this.recoveryPending = false;
       this.syncStats.status = 'completed';
       
       logger.info(`🎉 Recovery completed! Recovered ${totalRecovered} documents`);
       
     } catch (error) {
+      if (error.code === 'JOB_CANCELLED') {
+        logger.warn('⏹️ Recovery cancelled, backup may still hold newer documents');
+        this.syncStats.status = 'cancelled';
+        throw error;
+      }
       logger.error('❌ Recovery failed:', error);
       this.syncStats.status = 'error';
       this.syncStats.errors++;
@@ -584,18 +1556,240 @@ class SyncService {
     }
   }
 
-  // Check database health
-  async checkDatabaseHealth() {
-    this.isMainDbOnline = await checkMainDbHealth();
-    this.isBackupDbOnline = await checkBackupDbHealth();
+  // Root collections get a listener each, every instance of a subcollection ID shares one
+  // collection-group listener keyed '**/<id>'
+  getRealtimeListenerKey(collectionPath) {
+    return collectionPath.includes('/') ? `**/${collectionPath.split('/').pop()}` : collectionPath;
+  }
+
+  // Start streaming replication with a snapshot listener on every root collection and subcollection ID
+  async startRealtimeSync() {
+    if (this.isRealtimeActive) {
+      return;
+    }
     
-    const status = {
-      mainDb: this.isMainDbOnline,
-      backupDb: this.isBackupDbOnline,
-      timestamp: new Date().toISOString()
+    logger.info('📡 Starting real-time replication...');
+    this.isRealtimeActive = true;
+    
+    if (this.collections.length === 0) {
+      await this.discoverCollections();
+    }
+    
+    new Set(this.collections.map(col => this.getRealtimeListenerKey(col)))
+      .forEach(key => this.attachRealtimeListener(key));
+    
+    logger.info(`📡 Real-time replication active with ${this.realtimeListeners.size} listeners`);
+    this.emitStats();
+  }
+
+  // Detach every snapshot listener
+  stopRealtimeSync() {
+    this.isRealtimeActive = false;
+    
+    for (const [collectionName, listener] of this.realtimeListeners) {
+      clearTimeout(listener.retryTimer);
+      if (listener.unsubscribe) {
+        listener.unsubscribe();
+      }
+      logger.info(`📴 Detached real-time listener for ${collectionName}`);
+    }
+    
+    this.realtimeListeners.clear();
+    this.emitStats();
+  }
+
+  // Subscribe to changes in one root collection, or in every instance of a subcollection ID, of main
+  attachRealtimeListener(collectionName) {
+    let listener = this.realtimeListeners.get(collectionName);
+    if (listener && listener.unsubscribe) {
+      return;
+    }
+    
+    if (!listener) {
+      listener = {
+        unsubscribe: null,
+        retryTimer: null,
+        queue: Promise.resolve(),
+        initialized: false,
+        attempts: 0,
+        status: 'subscribing',
+        changesApplied: 0,
+        deletionsApplied: 0,
+        skippedWhileRecoveryPending: 0,
+        errors: 0,
+        resubscribes: 0,
+        lastEventAt: null,
+        lastError: null
+      };
+      this.realtimeListeners.set(collectionName, listener);
+    }
+    
+    listener.status = 'subscribing';
+    listener.initialized = false;
+    
+    const collectionId = collectionName.startsWith('**/') ? collectionName.slice(3) : null;
+    const onChanges = changes => {
+      listener.status = 'listening';
+      listener.attempts = 0;
+      listener.lastEventAt = new Date().toISOString();
+      
+      const isInitial = !listener.initialized;
+      listener.initialized = true;
+      
+      // Apply snapshots one after another so writes land in order
+      listener.queue = listener.queue
+        .then(() => (collectionId
+          ? this.applyRealtimeGroupChanges(listener, changes, isInitial)
+          : this.applyRealtimeChanges(collectionName, changes, isInitial, listener)))
+        .catch(error => {
+          logger.error(`❌ Failed to apply real-time changes for ${collectionName}:`, error);
+          listener.errors++;
+          listener.lastError = error.message;
+          this.syncStats.errors++;
+        });
     };
+    const onError = error => this.handleRealtimeError(collectionName, error);
+    
+    listener.unsubscribe = collectionId
+      ? this.mainDb.watchCollectionGroup(collectionId, onChanges, onError)
+      : this.mainDb.watchCollection(collectionName, onChanges, onError);
+  }
+
+  // Split a collection-group snapshot by collection path. Only instances of discovered templates
+  // are mirrored, so new instances (a new chat's messages) replicate before the next discovery.
+  async applyRealtimeGroupChanges(listener, changes, isInitial) {
+    const byPath = _.groupBy(changes.filter(change => change.path.includes('/')
+      && this.subcollectionTemplates.has(getSchemaKey(change.path))), 'path');
+    
+    for (const [collectionPath, pathChanges] of Object.entries(byPath)) {
+      await this.applyRealtimeChanges(collectionPath, pathChanges, isInitial, listener);
+    }
+  }
+
+  // A listener that errors is dead, so resubscribe with exponential backoff
+  handleRealtimeError(collectionName, error) {
+    const listener = this.realtimeListeners.get(collectionName);
+    if (!listener) {
+      return;
+    }
+    
+    logger.error(`❌ Real-time listener error for ${collectionName}:`, error);
+    listener.unsubscribe = null;
+    listener.status = 'retrying';
+    listener.errors++;
+    listener.lastError = error.message;
+    
+    if (!this.isRealtimeActive) {
+      return;
+    }
+    
+    const delay = Math.min(realtimeResubscribeBaseMs * 2 ** listener.attempts, realtimeResubscribeMaxMs);
+    listener.attempts++;
+    
+    logger.info(`🔁 Resubscribing to ${collectionName} in ${delay}ms (attempt ${listener.attempts})`);
+    clearTimeout(listener.retryTimer);
+    listener.retryTimer = setTimeout(() => {
+      if (!this.isRealtimeActive) {
+        return;
+      }
+      listener.resubscribes++;
+      this.attachRealtimeListener(collectionName);
+    }, delay);
+  }
+
+  // Mirror one batch of snapshot changes to backup
+  async applyRealtimeChanges(collectionName, changes, isInitial, listener = this.realtimeListeners.get(collectionName)) {
+    // Backup may hold edits made during a failover, main's copies must not overwrite them
+    // before recovery; the first scheduled sync after recovery catches up on what was skipped
+    if (this.recoveryPending) {
+      if (listener) {
+        listener.skippedWhileRecoveryPending += changes.length;
+      }
+      logger.debug(`⏸️ Recovery pending, skipping ${changes.length} real-time changes for ${collectionName}`);
+      return;
+    }
     
-    this.io.emit('healthCheck', status);
+    let upserts = changes
+      .filter(change => change.type !== 'removed')
+      .map(change => this.toSyncDocument(change));
+    const removedIds = changes
+      .filter(change => change.type === 'removed')
+      .map(change => change.id);
+    
+    // The first snapshot lists every document, only copy the ones backup is missing or behind on
+    if (isInitial && upserts.length > 0) {
+      upserts = await this.checkForDuplicates(this.backupDb, collectionName, upserts);
+    }
+    
+    if (upserts.length > 0) {
+      const written = await this.writeDocumentsToBackup(collectionName, upserts);
+      this.syncStats.totalSynced += written;
+      if (listener) {
+        listener.changesApplied += written;
+      }
+    }
+    
+    if (removedIds.length > 0) {
+      const deleted = await this.applyDeletionPolicy(collectionName, removedIds);
+      if (listener) {
+        listener.deletionsApplied += deleted;
+      }
+    }
+    
+    if (upserts.length > 0 || removedIds.length > 0) {
+      logger.info(`📡 Real-time ${collectionName}: ${upserts.length} upserts, ${removedIds.length} removals`);
+      this.io.emit('realtimeChange', {
+        collection: collectionName,
+        upserts: upserts.length,
+        removals: removedIds.length,
+        initial: isInitial,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  // Live status of streaming replication
+  getRealtimeStatus() {
+    const listeners = {};
+    for (const [collectionName, listener] of this.realtimeListeners) {
+      listeners[collectionName] = {
+        status: listener.status,
+        changesApplied: listener.changesApplied,
+        deletionsApplied: listener.deletionsApplied,
+        skippedWhileRecoveryPending: listener.skippedWhileRecoveryPending,
+        errors: listener.errors,
+        resubscribes: listener.resubscribes,
+        lastEventAt: listener.lastEventAt,
+        lastError: listener.lastError
+      };
+    }
+    
+    return {
+      mode: this.syncMode,
+      active: this.isRealtimeActive,
+      listening: Object.values(listeners).filter(l => l.status === 'listening').length,
+      listeners
+    };
+  }
+
+  // Targets the health monitor probes
+  getHealthProbes() {
+    return {
+      mainDb: () => this.mainDb.ping(),
+      backupDb: () => this.backupDb.ping()
+    };
+  }
+
+  // Check database health, served from the monitor's cache unless force is set
+  // healthCheck is only published when the probes actually ran
+  async checkDatabaseHealth({ force = false } = {}) {
+    const { fresh, status } = await this.healthMonitor.check({ force });
+    this.isMainDbOnline = status.mainDb;
+    this.isBackupDbOnline = status.backupDb;
+    
+    if (fresh) {
+      this.io.emit('healthCheck', status);
+    }
     return status;
   }
 
@@ -609,15 +1803,17 @@ class SyncService {
     return {
       ...this.syncStats,
       collectionsSchema: Object.fromEntries(this.collectionsSchema),
-      syncMetadata: Object.fromEntries(this.syncMetadata)
+      syncMetadata: this.checkpoints.toJSON(),
+      realtime: this.getRealtimeStatus()
     };
   }
 
   // Force full sync (ignores incremental logic)
   async forceFullSync() {
     logger.info('🔄 Forcing full sync...');
-    this.syncMetadata.clear(); // Clear all sync metadata
+    await this.checkpoints.clear(); // Clear all sync checkpoints
     this.syncStats.duplicatesSkipped = 0;
+    this.syncStats.conflictsQueued = 0;
     await this.performFullSync();
   }
 }
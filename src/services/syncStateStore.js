@@ -0,0 +1,105 @@
+const path = require('path');
+const { syncStateDir } = require('../config/syncConfig');
+const { readJsonFile, writeJsonFileAtomic } = require('../utils/atomicFile');
+const { normalizeValue } = require('../utils/documentHash');
+const { logger } = require('../utils/logger');
+
+// Changes are written at the end of a collection run (flush), or after this many unsaved
+// record/remove calls so a long run does not keep everything unsaved until its end
+const FLUSH_EVERY_CHANGES = 50;
+
+// Per-document sync state, one JSON file per collection path
+// Each entry is { hash, syncedAt, base } where base is the last version both
+// sides agreed on, kept only for collections that need it for three-way merges.
+class SyncStateStore {
+  constructor() {
+    this.dir = path.resolve(syncStateDir);
+    this.collections = new Map(); // collection path -> Map(document id -> state)
+    this.pendingChanges = new Map(); // collection path -> record/remove calls not saved yet
+  }
+
+  filePath(collectionPath) {
+    return path.join(this.dir, `${encodeURIComponent(collectionPath)}.json`);
+  }
+
+  load(collectionPath) {
+    if (!this.collections.has(collectionPath)) {
+      let documents = {};
+      try {
+        documents = readJsonFile(this.filePath(collectionPath), { documents: {} }).documents;
+      } catch (error) {
+        logger.error(`❌ Failed to load sync state for ${collectionPath}:`, error);
+      }
+      this.collections.set(collectionPath, new Map(Object.entries(documents)));
+    }
+    return this.collections.get(collectionPath);
+  }
+
+  save(collectionPath) {
+    const documents = this.load(collectionPath);
+    writeJsonFileAtomic(this.filePath(collectionPath), { documents: Object.fromEntries(documents) });
+    this.pendingChanges.delete(collectionPath);
+  }
+
+  // Count an in-memory change, saving only every FLUSH_EVERY_CHANGES changes
+  markChanged(collectionPath) {
+    const pending = (this.pendingChanges.get(collectionPath) || 0) + 1;
+    this.pendingChanges.set(collectionPath, pending);
+    if (pending >= FLUSH_EVERY_CHANGES) {
+      this.save(collectionPath);
+    }
+  }
+
+  // Save a collection's unsaved changes, call when a sync or recovery run of it finishes
+  flush(collectionPath) {
+    if (!this.pendingChanges.has(collectionPath)) {
+      return;
+    }
+    try {
+      this.save(collectionPath);
+    } catch (error) {
+      logger.error(`❌ Failed to save sync state for ${collectionPath}:`, error);
+    }
+  }
+
+  flushAll() {
+    [...this.pendingChanges.keys()].forEach(collectionPath => this.flush(collectionPath));
+  }
+
+  get(collectionPath, documentId) {
+    return this.load(collectionPath).get(documentId) || null;
+  }
+
+  // Record the synced state of several documents: [{ id, hash, base }]
+  record(collectionPath, entries) {
+    if (entries.length === 0) {
+      return;
+    }
+
+    const documents = this.load(collectionPath);
+    const syncedAt = new Date().toISOString();
+    for (const entry of entries) {
+      const state = { hash: entry.hash, syncedAt };
+      if (entry.base !== undefined) {
+        state.base = normalizeValue(entry.base);
+      }
+      documents.set(entry.id, state);
+    }
+    this.markChanged(collectionPath);
+  }
+
+  remove(collectionPath, documentIds) {
+    const documents = this.load(collectionPath);
+    let removed = 0;
+    documentIds.forEach(id => {
+      if (documents.delete(id)) {
+        removed++;
+      }
+    });
+    if (removed > 0) {
+      this.markChanged(collectionPath);
+    }
+  }
+}
+
+module.exports = SyncStateStore;
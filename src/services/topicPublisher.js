@@ -0,0 +1,87 @@
+const EventEmitter = require('events');
+const { logger } = require('../utils/logger');
+
+// Topics clients can subscribe to, 'sync:<collection path>' narrows sync events to one collection
+const TOPICS = ['health', 'sync', 'auth', 'integrity'];
+
+// Which topic each service event is published to
+const EVENT_TOPICS = {
+  healthCheck: 'health',
+  failoverState: 'health',
+  syncStats: 'sync',
+  autoSyncTriggered: 'sync',
+  syncProgress: 'sync',
+  collectionSynced: 'sync',
+  recoveryProgress: 'sync',
+  collectionRecovered: 'sync',
+  realtimeChange: 'sync',
+  schemaChange: 'sync',
+  snapshotCreated: 'sync',
+  snapshotRestored: 'sync',
+  jobUpdate: 'sync',
+  authSyncProgress: 'auth',
+  authSyncComplete: 'auth',
+  authSyncFailed: 'auth',
+  integrityReport: 'integrity',
+  integrityRepair: 'integrity',
+  authIntegrityReport: 'integrity'
+};
+
+// Everyone, authenticated or not, sits in this room and only ever gets coarse health
+const PUBLIC_ROOM = 'public';
+
+const topicRoom = topic => `topic:${topic}`;
+
+const isValidTopic = topic => typeof topic === 'string'
+  && (TOPICS.includes(topic) || (topic.startsWith('sync:') && topic.length > 'sync:'.length));
+
+// Health summary that is safe to show to unauthenticated clients
+const coarseHealth = status => {
+  const checks = ['mainDb', 'backupDb', 'mainAuth', 'backupAuth'].map(key => status[key]);
+  let overall = 'degraded';
+  if (checks.every(Boolean)) {
+    overall = 'healthy';
+  } else if (!status.backupDb && !status.mainDb) {
+    overall = 'down';
+  }
+  return { status: overall, timestamp: status.timestamp || new Date().toISOString() };
+};
+
+// Drop-in replacement for the Socket.IO server that services emit through.
+// Events go to the rooms of their topic instead of every socket, and are re-emitted
+// locally so in-process listeners can follow them with publisher.on(event, ...).
+class TopicPublisher extends EventEmitter {
+  constructor(io) {
+    super();
+    this.io = io;
+  }
+
+  emit(event, payload) {
+    const topic = EVENT_TOPICS[event];
+    if (!topic) {
+      logger.debug(`📡 No topic for event ${event}, sending to every subscribed client`);
+    }
+
+    const rooms = topic ? [topicRoom(topic)] : TOPICS.map(topicRoom);
+    if (topic === 'sync' && payload && payload.collection) {
+      rooms.push(topicRoom(`sync:${payload.collection}`));
+    }
+    this.io.to(rooms).emit(event, payload);
+
+    if (event === 'healthCheck') {
+      this.io.to(PUBLIC_ROOM).emit('healthStatus', coarseHealth(payload));
+    }
+
+    super.emit(event, payload);
+    return true;
+  }
+}
+
+module.exports = {
+  TopicPublisher,
+  TOPICS,
+  PUBLIC_ROOM,
+  topicRoom,
+  isValidTopic,
+  coarseHealth
+};
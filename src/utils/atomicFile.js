@@ -0,0 +1,27 @@
+const fs = require('fs');
+const path = require('path');
+
+// Read and parse a JSON file, returning the fallback when it does not exist
+const readJsonFile = (filePath, fallback) => {
+  if (!fs.existsSync(filePath)) {
+    return fallback;
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+};
+
+// Write JSON through a temp file and rename so a crash never leaves a half-written file
+const writeJsonFileAtomic = (filePath, data) => {
+  const dir = path.dirname(filePath);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tempPath, filePath);
+};
+
+module.exports = {
+  readJsonFile,
+  writeJsonFileAtomic
+};
@@ -0,0 +1,29 @@
+// Helpers for working with nested Firestore collection paths
+// (e.g. 'chats/abc123/messages', where odd segments are document IDs)
+
+// Schema is shared by every instance of a subcollection, so key it by template:
+// 'chats/abc123/messages' -> 'chats/{id}/messages'
+const getSchemaKey = (collectionPath) => collectionPath
+  .split('/')
+  .map((segment, index) => (index % 2 === 1 ? '{id}' : segment))
+  .join('/');
+
+// Depth of a collection path, root collections are depth 0
+const getCollectionDepth = (collectionPath) => Math.floor(collectionPath.split('/').length / 2);
+
+// Flatten a discovered collection tree into a list of collection paths
+const flattenCollectionTree = (nodes) => {
+  const paths = [];
+  const walk = (node) => {
+    paths.push(node.path);
+    node.subcollections.forEach(walk);
+  };
+  nodes.forEach(walk);
+  return paths;
+};
+
+module.exports = {
+  getSchemaKey,
+  getCollectionDepth,
+  flattenCollectionTree
+};
@@ -0,0 +1,36 @@
+const _ = require('lodash');
+const { normalizeValue } = require('./documentHash');
+
+// Field-level diff between two versions of a document
+// Returns [{ path, change: 'only_in_main' | 'only_in_backup' | 'changed', main, backup }]
+// with values normalized to plain JSON. Maps are compared field by field, arrays as a whole.
+const diffDocuments = (mainData, backupData, prefix = '') => {
+  const changes = [];
+  const main = mainData || {};
+  const backup = backupData || {};
+  const keys = _.union(Object.keys(main), Object.keys(backup)).sort();
+
+  for (const key of keys) {
+    const fieldPath = prefix ? `${prefix}.${key}` : key;
+    const inMain = main[key] !== undefined;
+    const inBackup = backup[key] !== undefined;
+    const mainValue = normalizeValue(main[key]);
+    const backupValue = normalizeValue(backup[key]);
+
+    if (!inBackup) {
+      changes.push({ path: fieldPath, change: 'only_in_main', main: mainValue, backup: null });
+    } else if (!inMain) {
+      changes.push({ path: fieldPath, change: 'only_in_backup', main: null, backup: backupValue });
+    } else if (_.isPlainObject(main[key]) && _.isPlainObject(backup[key])) {
+      changes.push(...diffDocuments(main[key], backup[key], fieldPath));
+    } else if (!_.isEqual(mainValue, backupValue)) {
+      changes.push({ path: fieldPath, change: 'changed', main: mainValue, backup: backupValue });
+    }
+  }
+
+  return changes;
+};
+
+module.exports = {
+  diffDocuments
+};
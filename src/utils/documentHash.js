@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const _ = require('lodash');
+
+// Reduce Firestore values to plain JSON with a deterministic shape:
+// object keys sorted, Timestamps as epoch milliseconds, references as paths
+const normalizeValue = (value) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (Array.isArray(value)) {
+    return value.map(normalizeValue);
+  }
+  if (value instanceof Date) {
+    return { __timestamp: value.getTime() };
+  }
+  if (Buffer.isBuffer(value)) {
+    return { __bytes: value.toString('base64') };
+  }
+  if (typeof value === 'object') {
+    if (typeof value.toMillis === 'function') {
+      return { __timestamp: value.toMillis() };
+    }
+    if (typeof value.path === 'string' && value.firestore) {
+      return { __ref: value.path };
+    }
+    if (typeof value.latitude === 'number' && typeof value.longitude === 'number') {
+      return { __geo: [value.latitude, value.longitude] };
+    }
+
+    const normalized = {};
+    for (const key of Object.keys(value).sort()) {
+      normalized[key] = normalizeValue(value[key]);
+    }
+    return normalized;
+  }
+  return value;
+};
+
+// Inverse of normalizeValue for restores: timestamps come back as Dates (stored as
+// Timestamps by Firestore), references and geo points through the target adapter
+const denormalizeValue = (value, db) => {
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => denormalizeValue(item, db));
+  }
+
+  const keys = Object.keys(value);
+  if (keys.length === 1) {
+    switch (keys[0]) {
+      case '__timestamp': return new Date(value.__timestamp);
+      case '__bytes': return Buffer.from(value.__bytes, 'base64');
+      case '__ref': return db.reference(value.__ref);
+      case '__geo': return db.geoPoint(value.__geo[0], value.__geo[1]);
+      default: break;
+    }
+  }
+
+  return _.mapValues(value, item => denormalizeValue(item, db));
+};
+
+// Deterministic JSON for a document, independent of key order
+const stableStringify = (data) => JSON.stringify(normalizeValue(data));
+
+// Content hash of a document, optionally ignoring some field paths
+const hashDocument = (data, ignoreFields = []) => {
+  const content = ignoreFields.length > 0 ? _.omit(data, ignoreFields) : data;
+  return crypto.createHash('sha256').update(stableStringify(content)).digest('hex');
+};
+
+module.exports = {
+  normalizeValue,
+  denormalizeValue,
+  stableStringify,
+  hashDocument
+};
@@ -0,0 +1,128 @@
+const client = require('prom-client');
+const { getSchemaKey } = require('./collectionPaths');
+
+// Prometheus metrics, scraped from GET /metrics
+// Collection labels use the schema key (chats/{id}/messages) so per-document subcollections
+// do not explode the label cardinality.
+const register = new client.Registry();
+client.collectDefaultMetrics({ register, prefix: 'firebase_sync_' });
+
+const documentsTotal = new client.Counter({
+  name: 'firebase_sync_documents_total',
+  help: 'Documents processed by sync (to_backup) and recovery (to_main), by outcome',
+  labelNames: ['collection', 'direction', 'outcome'],
+  registers: [register]
+});
+
+const collectionFailuresTotal = new client.Counter({
+  name: 'firebase_sync_collection_failures_total',
+  help: 'Collection sync or recovery runs that failed',
+  labelNames: ['collection', 'direction'],
+  registers: [register]
+});
+
+const conflictsTotal = new client.Counter({
+  name: 'firebase_sync_conflicts_total',
+  help: 'Recovery conflicts queued for manual resolution',
+  labelNames: ['collection'],
+  registers: [register]
+});
+
+const collectionDuration = new client.Histogram({
+  name: 'firebase_sync_collection_duration_seconds',
+  help: 'Time to sync or recover one collection',
+  labelNames: ['collection', 'direction'],
+  buckets: [0.1, 0.5, 1, 5, 15, 60, 300, 900],
+  registers: [register]
+});
+
+const runDuration = new client.Histogram({
+  name: 'firebase_sync_run_duration_seconds',
+  help: 'Duration of sync, recovery, auth sync and integrity check runs',
+  labelNames: ['type', 'status'],
+  buckets: [1, 5, 15, 60, 300, 900, 1800, 3600],
+  registers: [register]
+});
+
+const probeDuration = new client.Histogram({
+  name: 'firebase_sync_health_probe_duration_seconds',
+  help: 'Latency of health probes per target',
+  labelNames: ['target'],
+  buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register]
+});
+
+const targetUp = new client.Gauge({
+  name: 'firebase_sync_target_up',
+  help: 'Whether the last health probe of a target succeeded (1) or not (0)',
+  labelNames: ['target'],
+  registers: [register]
+});
+
+const circuitOpen = new client.Gauge({
+  name: 'firebase_sync_circuit_open',
+  help: 'Whether the health circuit breaker of a target is open (1) or not (0)',
+  labelNames: ['target'],
+  registers: [register]
+});
+
+const authUsersTotal = new client.Counter({
+  name: 'firebase_sync_auth_users_total',
+  help: 'Auth users imported into backup, by outcome',
+  labelNames: ['outcome'],
+  registers: [register]
+});
+
+const integrityIssues = new client.Gauge({
+  name: 'firebase_sync_integrity_issues',
+  help: 'Issues found by the last data integrity check, per collection',
+  labelNames: ['collection'],
+  registers: [register]
+});
+
+const authIntegrityIssues = new client.Gauge({
+  name: 'firebase_sync_auth_integrity_issues',
+  help: 'Users missing from or extra in backup auth at the last auth integrity check',
+  labelNames: ['type'],
+  registers: [register]
+});
+
+const socketClients = new client.Gauge({
+  name: 'firebase_sync_socket_clients',
+  help: 'Connected Socket.IO clients',
+  registers: [register]
+});
+
+const collectionLabel = collectionName => getSchemaKey(collectionName);
+
+// Count one collection's sync or recovery outcome
+const recordDocuments = (collectionName, direction, { synced = 0, skipped = 0, errored = 0 }) => {
+  const collection = collectionLabel(collectionName);
+  documentsTotal.inc({ collection, direction, outcome: 'synced' }, synced);
+  documentsTotal.inc({ collection, direction, outcome: 'skipped' }, Math.max(0, skipped));
+  if (errored > 0) {
+    documentsTotal.inc({ collection, direction, outcome: 'errored' }, errored);
+  }
+};
+
+// Record a health probe's latency and whether it succeeded
+const recordProbe = (target, up, latencyMs) => {
+  probeDuration.observe({ target }, latencyMs / 1000);
+  targetUp.set({ target }, up ? 1 : 0);
+};
+
+module.exports = {
+  register,
+  collectionLabel,
+  recordDocuments,
+  recordProbe,
+  circuitOpen,
+  collectionFailuresTotal,
+  conflictsTotal,
+  collectionDuration,
+  runDuration,
+  authUsersTotal,
+  integrityIssues,
+  authIntegrityIssues,
+  socketClients
+};
@@ -0,0 +1,28 @@
+// Firestore auto-generated IDs are 20 random characters from this alphabet,
+// listed in the byte order Firestore sorts document IDs in
+const AUTO_ID_ALPHABET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+// Split the document ID space into contiguous { startAtId, endBeforeId } ranges.
+// The first and last ranges are open-ended so custom IDs are never missed.
+const buildIdPartitions = (count) => {
+  const partitionCount = Math.max(1, Math.min(count, AUTO_ID_ALPHABET.length));
+  const boundaries = [];
+
+  for (let i = 1; i < partitionCount; i++) {
+    boundaries.push(AUTO_ID_ALPHABET[Math.floor((i * AUTO_ID_ALPHABET.length) / partitionCount)]);
+  }
+
+  const partitions = [];
+  for (let i = 0; i < partitionCount; i++) {
+    partitions.push({
+      startAtId: i === 0 ? null : boundaries[i - 1],
+      endBeforeId: i === partitionCount - 1 ? null : boundaries[i]
+    });
+  }
+  return partitions;
+};
+
+module.exports = {
+  AUTO_ID_ALPHABET,
+  buildIdPartitions
+};
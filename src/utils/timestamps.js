@@ -0,0 +1,151 @@
+// Timestamp normalization for the mixed formats stored in our documents:
+// - ISO strings:              "2025-07-02T00:21:26.894Z"
+// - console-formatted strings: "2 July 2025 at 09:57:35 UTC+3"
+// - Firestore Timestamps (live objects or serialized { _seconds, _nanoseconds })
+// - Dates and epoch numbers
+// Everything is reduced to epoch milliseconds so values compare correctly.
+
+// Fields that carry a document's last-modified time, in order of preference
+const DOCUMENT_TIMESTAMP_FIELDS = ['updatedAt', 'createdAt'];
+
+const MONTHS = [
+  'january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december'
+];
+
+const ISO_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+const CANONICAL_ISO_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/;
+const CONSOLE_PATTERN = /^(\d{1,2})\s+([A-Za-z]+)\s+(\d{4})\s+at\s+(\d{1,2}):(\d{2}):(\d{2})(?:\.(\d+))?\s*UTC(?:([+-])(\d{1,2})(?::?(\d{2}))?)?$/;
+
+// "2 July 2025 at 09:57:35 UTC+3" -> epoch milliseconds
+const parseConsoleFormat = (value) => {
+  const match = CONSOLE_PATTERN.exec(value);
+  if (!match) {
+    return null;
+  }
+
+  const [, day, monthName, year, hours, minutes, seconds, fraction, sign, offsetHours, offsetMinutes] = match;
+  const month = MONTHS.indexOf(monthName.toLowerCase());
+  if (month === -1) {
+    return null;
+  }
+
+  const millis = fraction ? Math.round(Number(`0.${fraction}`) * 1000) : 0;
+  const utc = Date.UTC(Number(year), month, Number(day), Number(hours), Number(minutes), Number(seconds), millis);
+  const offset = sign
+    ? (Number(offsetHours) * 60 + Number(offsetMinutes || 0)) * 60000 * (sign === '+' ? 1 : -1)
+    : 0;
+
+  // The wall-clock time is local to the offset, so subtract it to get UTC
+  return utc - offset;
+};
+
+const parseString = (value) => {
+  const trimmed = value.trim();
+  if (!trimmed) {
+    return null;
+  }
+
+  if (ISO_PATTERN.test(trimmed)) {
+    const parsed = Date.parse(trimmed);
+    return Number.isNaN(parsed) ? null : parsed;
+  }
+
+  const consoleMillis = parseConsoleFormat(trimmed);
+  if (consoleMillis !== null) {
+    return consoleMillis;
+  }
+
+  // Last resort for other full date strings (e.g. "Tue, 01 Jul 2025 10:00:00 GMT"),
+  // only when a four-digit year is present so stray numbers are not read as dates
+  if (/\b\d{4}\b/.test(trimmed)) {
+    const parsed = Date.parse(trimmed);
+    return Number.isNaN(parsed) ? null : parsed;
+  }
+
+  return null;
+};
+
+// Normalize any supported timestamp value to epoch milliseconds, or null if unparseable
+const toMillis = (value) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  if (value instanceof Date) {
+    const time = value.getTime();
+    return Number.isNaN(time) ? null : time;
+  }
+
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) {
+      return null;
+    }
+    // Epoch seconds stay below 1e11 until the year 5138
+    return value < 1e11 ? value * 1000 : value;
+  }
+
+  if (typeof value === 'string') {
+    return parseString(value);
+  }
+
+  if (typeof value === 'object') {
+    if (typeof value.toMillis === 'function') {
+      return value.toMillis();
+    }
+
+    const seconds = value._seconds !== undefined ? value._seconds : value.seconds;
+    const nanoseconds = value._nanoseconds !== undefined ? value._nanoseconds : value.nanoseconds;
+    if (typeof seconds === 'number') {
+      return seconds * 1000 + Math.floor((nanoseconds || 0) / 1e6);
+    }
+  }
+
+  return null;
+};
+
+// Normalize to an ISO string, or null if unparseable
+const toIsoString = (value) => {
+  const millis = toMillis(value);
+  return millis === null ? null : new Date(millis).toISOString();
+};
+
+// Last-modified time of a document
+// Returns { field, raw, millis } where field is null when no timestamp field is present
+// and millis is null when the value could not be parsed.
+const getDocumentTimestamp = (data, fields = DOCUMENT_TIMESTAMP_FIELDS) => {
+  for (const field of fields) {
+    const raw = data ? data[field] : undefined;
+    if (raw !== undefined && raw !== null && raw !== '') {
+      return { field, raw, millis: toMillis(raw) };
+    }
+  }
+  return { field: null, raw: null, millis: null };
+};
+
+// Formats a Firestore range filter compares chronologically: live Timestamps, and ISO strings as
+// written by toISOString() (other ISO variants, like second precision, sort differently).
+// Returns 'timestamp', 'iso' or null.
+const getRangeQueryFormat = (value) => {
+  if (value && typeof value === 'object' && typeof value.toMillis === 'function') {
+    return 'timestamp';
+  }
+  if (typeof value === 'string' && CANONICAL_ISO_PATTERN.test(value)) {
+    return 'iso';
+  }
+  return null;
+};
+
+// Epoch milliseconds as a range filter value of the given format
+const toRangeQueryValue = (millis, format) => (format === 'timestamp'
+  ? new Date(millis)
+  : new Date(millis).toISOString());
+
+module.exports = {
+  DOCUMENT_TIMESTAMP_FIELDS,
+  toMillis,
+  toIsoString,
+  getDocumentTimestamp,
+  getRangeQueryFormat,
+  toRangeQueryValue
+};